@@ -0,0 +1,281 @@
+// Board config shared by server.js and the Netlify functions: which metrics
+// exist (each backed by a filter ID or JQL), how they are arranged into table
+// rows/columns and summary sections, Top Movers tables, scoring, teams and the
+// event window. Read from BOARD_CONFIG (path) or board.config.json; falls back
+// to the legacy env vars. On Netlify the file is bundled via
+// [functions].included_files.
+
+const fs = require('fs');
+const path = require('path');
+
+// Sanitize env strings and strip quotes/whitespace
+function cleanEnv(v) {
+  if (v == null) return '';
+  let s = String(v).trim();
+  if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
+    s = s.slice(1, -1);
+  }
+  return s.trim();
+}
+
+function toJql(filterOrJql) {
+  const raw = cleanEnv(filterOrJql);
+  if (!raw) return '';
+  // If numeric, use filter=ID so Jira evaluates the filter server-side.
+  if (/^\d+$/.test(raw)) return `filter=${raw}`;
+  // If looks like full URL, try to extract ?filter= or ?jql=
+  if (/^https?:\/\//i.test(raw)) {
+    try {
+      const u = new URL(raw);
+      const filterId = u.searchParams.get('filter');
+      if (filterId && /^\d+$/.test(filterId)) return `filter=${filterId}`;
+      const jql = u.searchParams.get('jql');
+      if (jql) return jql;
+    } catch (_) { /* ignore */ }
+  }
+  // Otherwise assume it's a JQL string
+  return raw;
+}
+
+// Calendar day (YYYY-MM-DD) of an instant in a timezone
+function dayKey(t, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(t);
+}
+
+// Event window (countdown + default movers window). Times without an offset
+// are wall-clock times in `timezone`, e.g. "2026-01-15T18:00" in Asia/Kolkata.
+function zoneOffsetMs(t, timeZone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  for (const p of fmt.formatToParts(new Date(t))) parts[p.type] = p.value;
+  const asUtc = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(t / 1000) * 1000;
+}
+
+function parseEventTime(value, timeZone) {
+  const s = String(value).trim();
+  if (/(?:[zZ]|[+-]\d\d:?\d\d)$/.test(s)) return Date.parse(s);
+  const m = s.match(/^(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d)(?::(\d\d))?)?$/);
+  if (!m) return NaN;
+  const wall = Date.UTC(+m[1], m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+  // Second pass settles instants next to a DST change
+  let t = wall - zoneOffsetMs(wall, timeZone);
+  t = wall - zoneOffsetMs(t, timeZone);
+  return t;
+}
+
+function normalizeEvent(raw, source) {
+  if (!raw || !raw.start) return null;
+  const timezone = cleanEnv(raw.timezone) || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (_) {
+    throw new Error(`Invalid board config (${source}): unknown event timezone "${timezone}"`);
+  }
+  const start = parseEventTime(raw.start, timezone);
+  const end = raw.end ? parseEventTime(raw.end, timezone) : null;
+  if (!Number.isFinite(start)) throw new Error(`Invalid board config (${source}): bad event start "${raw.start}"`);
+  if (end != null && !(end > start)) throw new Error(`Invalid board config (${source}): event end must be a time after start`);
+  const name = String(raw.name || 'BugBash');
+  return {
+    name,
+    // Archive id, e.g. "q1-bugbash-2026-01-15" (the start date in the event's timezone)
+    slug: slugify(raw.slug || `${name}-${dayKey(start, timezone)}`),
+    start: new Date(start).toISOString(),
+    end: end == null ? null : new Date(end).toISOString(),
+    timezone,
+  };
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'event';
+}
+
+// Event window when board.config.json has no `event` section (times in EVENT_TIMEZONE)
+function legacyEvent() {
+  const env = (name) => cleanEnv(process.env[name]);
+  return { name: env('EVENT_NAME') || 'BugBash', slug: env('EVENT_SLUG'), start: env('EVENT_START'), end: env('EVENT_END'), timezone: env('EVENT_TIMEZONE') || 'UTC' };
+}
+
+function eventState(ev, now = Date.now()) {
+  if (now < Date.parse(ev.start)) return 'pre';
+  if (ev.end && now >= Date.parse(ev.end)) return 'ended';
+  return 'live';
+}
+
+// The classic QA/Dev board from the JIRA_FILTER_QA_ID/JIRA_FILTER_DEV_ID filters,
+// plus the optional "worked today" (JIRA_QA_TODAY/JIRA_DEV_TODAY), pre-bugbash
+// baseline (JIRA_PRE_QA/JIRA_PRE_DEV) and JIRA_DEPLOYMENTREADY filters/JQLs
+function legacyBoardConfig() {
+  const env = (name) => cleanEnv(process.env[name]);
+  const metrics = {};
+  const add = (id, label, filter, required) => {
+    if (filter || required) metrics[id] = { label, filter };
+  };
+  add('qa', 'QA', env('JIRA_FILTER_QA_ID'), true);
+  add('dev', 'Dev', env('JIRA_FILTER_DEV_ID'), true);
+  add('preQa', 'Pre QA', env('JIRA_PRE_QA'));
+  add('preDev', 'Pre Dev', env('JIRA_PRE_DEV'));
+  add('qaToday', 'QA Today', env('JIRA_QA_TODAY'));
+  add('devToday', 'Dev Today', env('JIRA_DEV_TODAY'));
+  add('deploymentReady', 'Deployment Ready', env('JIRA_DEPLOYMENTREADY'));
+  // Optional slots left empty in env simply render as "—"
+  const cells = (map) => {
+    const out = {};
+    for (const [col, id] of Object.entries(map)) if (metrics[id]) out[col] = id;
+    return out;
+  };
+  return {
+    metrics,
+    columns: [
+      { key: 'pre', label: 'Pre BugBash' },
+      { key: 'today', label: 'Closed During BugBash', chart: 'total', total: { label: 'Closed During BugBash', note: 'Sum of QA and Dev closed during the event.', accent: 'green' } },
+      { key: 'current', label: 'Pending Closure', chart: 'teams', total: { label: 'Pending Closure', note: 'Sum of QA and Dev pending closure.', accent: 'red' } },
+    ],
+    rows: [
+      { key: 'qa', label: 'QA', cells: cells({ pre: 'preQa', today: 'qaToday', current: 'qa' }) },
+      { key: 'dev', label: 'Dev', cells: cells({ pre: 'preDev', today: 'devToday', current: 'dev' }) },
+    ],
+    highlights: [
+      { metric: 'deploymentReady', label: 'Production Deployment Ready', note: 'Issues marked deployment-ready to be pushed to prod.', accent: 'amber' },
+    ].filter((h) => metrics[h.metric]),
+    movers: [
+      { key: 'qa', label: 'QA', metric: 'qaToday', from: 'Resolved', notTo: 'Done' },
+      { key: 'dev', label: 'Dev', metric: 'devToday', to: 'Resolved' },
+    ].filter((m) => metrics[m.metric]),
+  };
+}
+
+// Duplicate Jira accounts of one person: { "<accountId>": ["<other accountId>", …] }
+// becomes { other: primary } so their transitions count as one user
+function normalizeAliases(raw, fail) {
+  const out = {};
+  if (!raw) return out;
+  if (typeof raw !== 'object' || Array.isArray(raw)) fail('aliases must map an accountId to a list of its other accountIds');
+  for (const [primary, others] of Object.entries(raw)) {
+    if (!Array.isArray(others)) fail(`aliases.${primary} must be a list of accountIds`);
+    for (const other of others.map(String)) {
+      if (other === primary) continue;
+      if (out[other] && out[other] !== primary) fail(`aliases: ${other} is listed under both ${out[other]} and ${primary}`);
+      out[other] = primary;
+    }
+  }
+  for (const primary of new Set(Object.values(out))) {
+    if (out[primary]) fail(`aliases: ${primary} is both a primary account and an alias`);
+  }
+  return out;
+}
+
+// Team roll-up: `members` lists users (display names) per team, `groups` maps a
+// team to a Jira group whose members join it; `movers` picks the tables summed.
+function normalizeTeams(raw, moversKeys, fail) {
+  if (!raw || typeof raw !== 'object') return null;
+  const members = {};
+  for (const [team, users] of Object.entries(raw.members || {})) {
+    if (!Array.isArray(users)) fail(`teams.members.${team} must be a list of users`);
+    members[team] = users.map(String);
+  }
+  const groups = {};
+  for (const [team, group] of Object.entries(raw.groups || {})) groups[team] = String(group);
+  if (!Object.keys(members).length && !Object.keys(groups).length) fail('teams needs members or groups');
+  const movers = Array.isArray(raw.movers) ? raw.movers.map(String) : [...moversKeys];
+  for (const key of movers) if (!moversKeys.has(key)) fail(`teams.movers references unknown movers table "${key}"`);
+  return {
+    label: String(raw.label || 'Teams'),
+    movers,
+    members,
+    groups,
+    // users on no team are summed under this name (null leaves them out)
+    unassigned: raw.unassigned === null ? null : String(raw.unassigned || 'Unassigned'),
+  };
+}
+
+// Weighted scoring for Top Movers: each counted transition scores
+// default × priority × issue type × matching labels × custom field weights
+// (names are matched case-insensitively; anything unlisted weighs 1).
+function normalizeScoring(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const weights = (obj) => {
+    const out = {};
+    for (const [name, value] of Object.entries(obj || {})) {
+      const n = Number(value);
+      if (Number.isFinite(n)) out[name.toLowerCase()] = n;
+    }
+    return out;
+  };
+  const fields = {};
+  for (const [fieldId, map] of Object.entries(raw.fields || {})) fields[fieldId] = weights(map);
+  return {
+    default: Number.isFinite(Number(raw.default)) ? Number(raw.default) : 1,
+    priority: weights(raw.priority),
+    issuetype: weights(raw.issuetype),
+    labels: weights(raw.labels),
+    fields,
+  };
+}
+
+function normalizeBoardConfig(raw, source) {
+  const fail = (msg) => { throw new Error(`Invalid board config (${source}): ${msg}`); };
+  if (!raw || typeof raw !== 'object') fail('expected an object');
+  const metrics = {};
+  for (const [id, m] of Object.entries(raw.metrics || {})) {
+    const def = typeof m === 'string' ? { filter: m } : (m || {});
+    metrics[id] = { label: String(def.label || id), filter: cleanEnv(def.filter) };
+  }
+  const known = (id) => Object.prototype.hasOwnProperty.call(metrics, id);
+  const columns = (Array.isArray(raw.columns) ? raw.columns : []).map((c, i) => {
+    if (!c || !c.key) fail(`columns[${i}] needs a key`);
+    const col = { key: String(c.key), label: String(c.label || c.key) };
+    if (c.total) col.total = { label: String(c.total.label || col.label), note: c.total.note ? String(c.total.note) : '', accent: c.total.accent || '' };
+    if (c.chart === 'teams' || c.chart === 'total') col.chart = c.chart;
+    return col;
+  });
+  const rows = (Array.isArray(raw.rows) ? raw.rows : []).map((r, i) => {
+    if (!r || !r.key) fail(`rows[${i}] needs a key`);
+    const cells = {};
+    for (const [colKey, metricId] of Object.entries(r.cells || {})) {
+      if (!known(metricId)) fail(`rows[${i}].cells.${colKey} references unknown metric "${metricId}"`);
+      cells[colKey] = metricId;
+    }
+    return { key: String(r.key), label: String(r.label || r.key), cells };
+  });
+  const highlights = (Array.isArray(raw.highlights) ? raw.highlights : []).map((h, i) => {
+    if (!h || !known(h.metric)) fail(`highlights[${i}] references unknown metric "${h && h.metric}"`);
+    return { metric: h.metric, label: String(h.label || metrics[h.metric].label), note: h.note ? String(h.note) : '', accent: h.accent || '' };
+  });
+  // Top Movers tables: transitions counted over the issues of a metric's filter
+  const movers = (Array.isArray(raw.movers) ? raw.movers : []).map((m, i) => {
+    if (!m || !m.key) fail(`movers[${i}] needs a key`);
+    if (!known(m.metric)) fail(`movers[${i}] references unknown metric "${m.metric}"`);
+    const out = { key: String(m.key), label: String(m.label || m.key), metric: m.metric };
+    for (const f of ['from', 'to', 'notFrom', 'notTo']) if (m[f]) out[f] = String(m[f]);
+    return out;
+  });
+  const teams = normalizeTeams(raw.teams, new Set(movers.map((m) => m.key)), fail);
+  return { metrics, columns, rows, highlights, movers, scoring: normalizeScoring(raw.scoring), event: normalizeEvent(raw.event || legacyEvent(), source), teams, aliases: normalizeAliases(raw.aliases, fail) };
+}
+
+// The raw config and where it came from: BOARD_CONFIG (or board.config.json)
+// next to server.js, else in the working directory (Netlify's bundle root);
+// with no file, the legacy env board
+function readBoardConfig() {
+  const configPath = cleanEnv(process.env.BOARD_CONFIG) || 'board.config.json';
+  const candidates = [path.resolve(__dirname, '..', configPath), path.resolve(process.cwd(), configPath)];
+  for (const file of candidates) {
+    let text;
+    try { text = fs.readFileSync(file, 'utf8'); } catch (_) { continue; }
+    try {
+      return { raw: JSON.parse(text), source: configPath };
+    } catch (e) {
+      throw new Error(`Invalid board config (${configPath}): ${e.message}`);
+    }
+  }
+  return { raw: legacyBoardConfig(), source: 'env' };
+}
+
+function loadBoardConfig() {
+  const { raw, source } = readBoardConfig();
+  return normalizeBoardConfig(raw, source);
+}
+
+module.exports = { cleanEnv, toJql, dayKey, eventState, normalizeBoardConfig, readBoardConfig, loadBoardConfig };
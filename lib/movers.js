@@ -0,0 +1,311 @@
+// Top Movers computation shared by server.js and the Netlify movers function:
+// counting status transitions per user, scoring, badges, team roll-ups and
+// ranking. Jira access stays with the callers, which pass in the searched
+// issues and their status histories.
+
+const { dayKey } = require('./board');
+
+function withinWindow(ts, since, until) {
+  const t = new Date(ts).getTime();
+  if (Number.isNaN(t)) return false;
+  if (since && t < new Date(since).getTime()) return false;
+  if (until && t > new Date(until).getTime()) return false;
+  return true;
+}
+
+async function mapLimit(arr, limit, iter) {
+  const pending = new Set();
+  for (const item of arr) {
+    const p = Promise.resolve().then(() => iter(item));
+    pending.add(p);
+    // then(cleanup, cleanup): a bare finally() would leave its own rejection unhandled
+    const cleanup = () => pending.delete(p);
+    p.then(cleanup, cleanup);
+    if (pending.size >= limit) {
+      await Promise.race(pending);
+    }
+  }
+  await Promise.all(pending);
+}
+
+// Stable identity of a Jira user: accountId on Cloud (key or name on Data
+// Center), with alias accounts folded into their primary account
+function userId(u, aliases = {}) {
+  const id = u && (u.accountId || u.key || u.name || u.displayName);
+  if (!id) return 'unknown';
+  return aliases[id] || id;
+}
+
+function avatarUrl(u) {
+  const urls = u && u.avatarUrls;
+  return urls && (urls['48x48'] || Object.values(urls)[0]) || null;
+}
+
+// discover=1: which status transitions occur in the window, most frequent first
+function discoverTransitionPairs(historiesByIssue, since, until) {
+  const pairs = new Map(); // key: `${from}→${to}` => count
+  for (const histories of historiesByIssue.values()) {
+    for (const h of histories) {
+      if (since || until) {
+        if (!withinWindow(h.created, since, until)) continue;
+      }
+      const items = Array.isArray(h.items) ? h.items : [];
+      for (const it of items) {
+        if (it.field !== 'status') continue;
+        const from = (it.fromString || '').trim();
+        const to = (it.toString || '').trim();
+        const key = `${from}→${to}`;
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  }
+  const arr = Array.from(pairs.entries()).map(([pair, count]) => {
+    const [from, to] = pair.split('→');
+    return { from, to, count };
+  });
+  arr.sort((a, b) => b.count - a.count || `${a.from}→${a.to}`.localeCompare(`${b.from}→${b.to}`));
+  return arr;
+}
+
+// historiesByIssue: Map(issueId => status histories). `matches`, when given,
+// collects every counted transition ({ user: userId, issueId, at, historyId, from, to })
+function countTransitionsByUser(historiesByIssue, issues, { from: fromName, to: toName, notFrom: notFromName, notTo: notToName, since, until }, aliases, matches) {
+  const counts = new Map(); // userId => { accountId, user, avatarUrl, count, score }
+  const weightOf = new Map(issues.map((it) => [String(it.id), it.weight ?? 1]));
+  for (const [issueId, histories] of historiesByIssue) {
+    const weight = weightOf.get(issueId) ?? 1;
+    for (const h of histories) {
+      const id = userId(h.author, aliases);
+      const created = h.created;
+      if (since || until) {
+        if (!withinWindow(created, since, until)) continue;
+      }
+      const items = Array.isArray(h.items) ? h.items : [];
+      for (const it of items) {
+        if (it.field !== 'status') continue;
+        const from = (it.fromString || '').trim();
+        const to = (it.toString || '').trim();
+        const fromOk = (!fromName || from.toLowerCase() === String(fromName).toLowerCase()) && (!notFromName || from.toLowerCase() !== String(notFromName).toLowerCase());
+        const toOk = (!toName || to.toLowerCase() === String(toName).toLowerCase()) && (!notToName || to.toLowerCase() !== String(notToName).toLowerCase());
+        if (fromOk && toOk) {
+          const entry = counts.get(id) || { accountId: id, user: 'Unknown', avatarUrl: null, seenAt: -Infinity, count: 0, score: 0 };
+          // the newest name and avatar win, so a rename mid-event stays one row
+          const at = Date.parse(created);
+          if (h.author && !(at < entry.seenAt)) {
+            entry.user = h.author.displayName || h.author.name || id;
+            entry.avatarUrl = avatarUrl(h.author);
+            entry.seenAt = at;
+          }
+          entry.count += 1;
+          entry.score += weight;
+          counts.set(id, entry);
+          if (matches) matches.push({ user: id, issueId, at, historyId: h.id, from, to });
+        }
+      }
+    }
+  }
+
+  const arr = Array.from(counts.values()).map(({ accountId, user, avatarUrl, count, score }) => ({ accountId, user, avatarUrl, count, score: Math.round(score * 100) / 100 }));
+  arr.sort((a, b) => b.count - a.count || b.score - a.score || a.user.localeCompare(b.user));
+  return arr;
+}
+
+// matches from countTransitionsByUser → Map(userId => [{ key, summary, from, to, at, weight, url }]),
+// newest first; what /api/movers/detail shows for one user
+function moverDetails(matches, issues, baseUrl) {
+  const base = (baseUrl || '').replace(/\/$/, '');
+  const issueById = new Map(issues.map((it) => [String(it.id), it]));
+  const out = new Map();
+  for (const m of matches) {
+    const issue = issueById.get(m.issueId) || {};
+    const list = out.get(m.user) || [];
+    list.push({
+      key: issue.key || m.issueId,
+      summary: (issue.fields && issue.fields.summary) || '',
+      from: m.from,
+      to: m.to,
+      at: new Date(m.at).toISOString(),
+      historyId: m.historyId || null,
+      weight: issue.weight ?? 1,
+      url: base && issue.key ? `${base}/browse/${encodeURIComponent(issue.key)}` : null,
+    });
+    out.set(m.user, list);
+  }
+  for (const list of out.values()) list.sort((a, b) => b.at.localeCompare(a.at));
+  return out;
+}
+
+// Achievements derived from the transitions a movers table counts
+const BADGES = {
+  first: { icon: '🥇', label: 'First close' },
+  burst: { icon: '⚡', label: '5 closes within an hour' },
+  streak: { icon: '🔥', label: 'Longest streak of days' },
+  oldest: { icon: '🦖', label: 'Closed the oldest bug' },
+  blocker: { icon: '🧱', label: 'Cleared a Blocker' },
+};
+const BLOCKER_PRIORITIES = new Set(['blocker', 'highest']);
+// Issue fields the badges need besides the scoring ones
+const BADGE_FIELDS = ['created', 'priority'];
+
+// matches: [{ user, issueId, at }] from countTransitionsByUser → Map(userId => [{ id, icon, title }])
+function computeBadges(matches, issues, timeZone) {
+  const out = new Map();
+  const award = (user, id, title) => {
+    const list = out.get(user) || [];
+    if (!list.some((b) => b.id === id)) list.push({ id, icon: BADGES[id].icon, title });
+    out.set(user, list);
+  };
+  if (!matches.length) return out;
+  const issueById = new Map(issues.map((it) => [String(it.id), it]));
+  const keyOf = (m) => (issueById.get(m.issueId) || {}).key || m.issueId;
+  const sorted = matches.slice().sort((a, b) => a.at - b.at);
+  const byUser = new Map();
+  for (const m of sorted) {
+    if (!byUser.has(m.user)) byUser.set(m.user, []);
+    byUser.get(m.user).push(m);
+  }
+
+  award(sorted[0].user, 'first', `First close (${keyOf(sorted[0])})`);
+
+  for (const [user, list] of byUser) {
+    for (let i = 4; i < list.length; i++) {
+      if (list[i].at - list[i - 4].at <= 3600000) { award(user, 'burst', BADGES.burst.label); break; }
+    }
+  }
+
+  // Consecutive calendar days (in the event timezone) with at least one close
+  const streaks = new Map();
+  let best = 0;
+  for (const [user, list] of byUser) {
+    const days = [...new Set(list.map((m) => dayKey(m.at, timeZone)))].sort();
+    let run = 1;
+    let max = 1;
+    for (let i = 1; i < days.length; i++) {
+      run = Date.parse(days[i]) - Date.parse(days[i - 1]) === 86400000 ? run + 1 : 1;
+      max = Math.max(max, run);
+    }
+    streaks.set(user, max);
+    best = Math.max(best, max);
+  }
+  if (best >= 2) {
+    for (const [user, n] of streaks) if (n === best) award(user, 'streak', `Longest streak: ${n} days`);
+  }
+
+  // The last counted transition on the longest-open issue
+  let oldest = null;
+  for (const m of sorted) {
+    const fields = (issueById.get(m.issueId) || {}).fields || {};
+    const created = Date.parse(fields.created);
+    if (Number.isFinite(created) && (!oldest || created <= oldest.created)) oldest = { created, m };
+  }
+  if (oldest) award(oldest.m.user, 'oldest', `Closed the oldest bug (${keyOf(oldest.m)}, opened ${new Date(oldest.created).toISOString().slice(0, 10)})`);
+
+  for (const m of sorted) {
+    const priority = ((issueById.get(m.issueId) || {}).fields || {}).priority;
+    const name = priority && (priority.name || priority);
+    if (name && BLOCKER_PRIORITIES.has(String(name).toLowerCase())) award(m.user, 'blocker', `Cleared a Blocker (${keyOf(m)})`);
+  }
+  return out;
+}
+
+// rank=score orders by weighted score instead of raw transition count
+function rankUsers(users, rank) {
+  if (rank !== 'score') return users;
+  return users.slice().sort((a, b) => b.score - a.score || b.count - a.count || a.user.localeCompare(b.user));
+}
+
+// Issue fields the movers search must return: summary, badges and scoring
+function moversFields(scoring) {
+  const scored = scoring ? ['priority', 'issuetype', 'labels', ...Object.keys(scoring.fields)] : [];
+  return [...new Set(['summary', ...scored, ...BADGE_FIELDS])];
+}
+
+// Option/user/array field values → plain strings
+function fieldValues(v) {
+  if (v == null) return [];
+  if (Array.isArray(v)) return v.flatMap(fieldValues);
+  if (typeof v === 'object') return [String(v.value ?? v.name ?? v.id ?? '')];
+  return [String(v)];
+}
+
+function issueWeight(scoring, fields) {
+  if (!scoring) return 1;
+  let weight = scoring.default;
+  const apply = (map, values) => {
+    for (const v of values) {
+      const key = v.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(map, key)) weight *= map[key];
+    }
+  };
+  apply(scoring.priority, fieldValues(fields.priority));
+  apply(scoring.issuetype, fieldValues(fields.issuetype));
+  apply(scoring.labels, fieldValues(fields.labels));
+  for (const [fieldId, map] of Object.entries(scoring.fields)) apply(map, fieldValues(fields[fieldId]));
+  return weight;
+}
+
+// users ([{ accountId, user, count, score }]) => teams ([{ team, count, score, members }])
+function rollUpTeams(users, map, unassigned) {
+  const teams = new Map();
+  for (const u of users) {
+    const team = map.get(u.accountId.toLowerCase()) || map.get(u.user.toLowerCase()) || unassigned;
+    if (!team) continue;
+    const entry = teams.get(team) || { team, count: 0, score: 0, members: [] };
+    entry.count += u.count;
+    entry.score = Math.round((entry.score + u.score) * 100) / 100;
+    entry.members.push(u);
+    teams.set(team, entry);
+  }
+  return Array.from(teams.values());
+}
+
+// Every counted user (by count) or team for one query, as { payload, details };
+// details (userId => counted transitions) back /movers/detail. `board` carries
+// scoring, event, teams and aliases; `teamMap` is only called for aggregate=team.
+async function buildMovers({ issues, truncated, historiesByIssue }, { filter, from, to, notFrom, notTo, since, until, discover, aggregate }, { board, baseUrl, teamMap }) {
+  for (const issue of issues) issue.weight = issueWeight(board.scoring, issue.fields);
+
+  // discover=1 lists which status transitions occur, to help pick from/to
+  if (discover) {
+    const pairs = discoverTransitionPairs(historiesByIssue, since, until);
+    return { payload: { filter, since: since || null, until: until || null, totalIssues: issues.length, truncated, transitions: pairs }, details: new Map() };
+  }
+
+  const matches = [];
+  const results = countTransitionsByUser(historiesByIssue, issues, { from, to, notFrom, notTo, since, until }, board.aliases, matches);
+  const badges = computeBadges(matches, issues, board.event ? board.event.timezone : 'UTC');
+  const withBadges = (u) => ({ ...u, badges: badges.get(u.accountId) || [] });
+  const details = moverDetails(matches, issues, baseUrl);
+  const meta = {
+    filter,
+    from: from || null,
+    to: to || null,
+    notFrom: notFrom || null,
+    notTo: notTo || null,
+    since: since || null,
+    until: until || null,
+    totalIssues: issues.length,
+    truncated,
+  };
+  // aggregate=team: per-team sums, each with its members for drill-down
+  if (aggregate === 'team') {
+    const teams = rollUpTeams(results.map(withBadges), await teamMap(), board.teams.unassigned);
+    return { payload: { ...meta, aggregate, teams }, details };
+  }
+  return { payload: { ...meta, users: results.map(withBadges) }, details };
+}
+
+// Per-request rank and limit applied to a full result
+function shapeMovers(full, rank, limit) {
+  if (full.transitions) return { ...full, transitions: full.transitions.slice(0, limit) };
+  if (full.teams) {
+    const primary = rank === 'score' ? 'score' : 'count';
+    const secondary = rank === 'score' ? 'count' : 'score';
+    const teams = full.teams.map((t) => ({ ...t, members: rankUsers(t.members, rank) }));
+    teams.sort((a, b) => b[primary] - a[primary] || b[secondary] - a[secondary] || a.team.localeCompare(b.team));
+    return { filter: full.filter, rank, ...full, teams: teams.slice(0, limit) };
+  }
+  return { filter: full.filter, rank, ...full, users: rankUsers(full.users, rank).slice(0, limit) };
+}
+
+module.exports = { BADGES, mapLimit, withinWindow, userId, moversFields, buildMovers, shapeMovers };
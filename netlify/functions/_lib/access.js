@@ -0,0 +1,16 @@
+// Admin check shared by the Netlify functions: `Authorization: Bearer <ADMIN_TOKEN>`
+// (the functions have no viewer access layer; see the README)
+
+const crypto = require('crypto');
+const { cleanEnv } = require('../../../lib/board');
+
+const ADMIN_TOKEN = cleanEnv(process.env.ADMIN_TOKEN);
+
+function isAdmin(headers) {
+  const m = /^Bearer\s+(.+)$/i.exec((headers || {}).authorization || '');
+  if (!ADMIN_TOKEN || !m) return false;
+  const digest = (v) => crypto.createHash('sha256').update(v).digest();
+  return crypto.timingSafeEqual(digest(m[1].trim()), digest(ADMIN_TOKEN));
+}
+
+module.exports = { isAdmin };
@@ -0,0 +1,159 @@
+// Jira connection shared by the Netlify functions: base URLs, fetchJSON and the
+// auth provider picked by JIRA_AUTH.
+
+const https = require('https');
+const http = require('http');
+const { cleanEnv } = require('../../../lib/board');
+
+let JIRA_BASE_URL = cleanEnv(process.env.JIRA_BASE_URL);
+const JIRA_EMAIL = cleanEnv(process.env.JIRA_EMAIL);
+const JIRA_API_TOKEN = cleanEnv(process.env.JIRA_API_TOKEN);
+
+if (JIRA_BASE_URL && !/^https?:\/\//i.test(JIRA_BASE_URL)) {
+  JIRA_BASE_URL = 'https://' + JIRA_BASE_URL;
+}
+
+// REST calls go to JIRA_API_BASE_URL when set (OAuth apps use
+// https://api.atlassian.com/ex/jira/<cloudId>); browse links always use JIRA_BASE_URL.
+const JIRA_API_BASE_URL = (cleanEnv(process.env.JIRA_API_BASE_URL) || JIRA_BASE_URL).replace(/\/$/, '');
+const JIRA_AUTH = (cleanEnv(process.env.JIRA_AUTH) || 'basic').toLowerCase();
+const JIRA_PAT = cleanEnv(process.env.JIRA_PAT);
+const JIRA_OAUTH_CLIENT_ID = cleanEnv(process.env.JIRA_OAUTH_CLIENT_ID);
+const JIRA_OAUTH_CLIENT_SECRET = cleanEnv(process.env.JIRA_OAUTH_CLIENT_SECRET);
+const JIRA_OAUTH_TOKEN_URL = cleanEnv(process.env.JIRA_OAUTH_TOKEN_URL) || 'https://auth.atlassian.com/oauth/token';
+const JIRA_OAUTH_AUDIENCE = cleanEnv(process.env.JIRA_OAUTH_AUDIENCE);
+const JIRA_OAUTH_SCOPE = cleanEnv(process.env.JIRA_OAUTH_SCOPE);
+const JIRA_TIMEOUT_MS = Math.max(1000, Number(cleanEnv(process.env.JIRA_TIMEOUT_MS) || 15000));
+
+function requestJSON(url, options) {
+  return new Promise((resolve, reject) => {
+    try {
+      const u = new URL(url);
+      const isHttps = u.protocol === 'https:';
+      const lib = isHttps ? https : http;
+      const req = lib.request({
+        protocol: u.protocol,
+        hostname: u.hostname,
+        port: u.port || (isHttps ? 443 : 80),
+        path: u.pathname + u.search,
+        method: options?.method || 'GET',
+        headers: options?.headers || {},
+        timeout: options?.timeout || 0,
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
+            try { resolve(JSON.parse(data || '{}')); }
+            catch (e) { reject(new Error('Failed to parse JSON: ' + e.message)); }
+          } else {
+            const err = new Error('HTTP ' + res.statusCode + ': ' + data);
+            err.status = res.statusCode;
+            reject(err);
+          }
+        });
+      });
+      req.on('timeout', () => {
+        const err = new Error(`Request timed out after ${options.timeout}ms`);
+        err.code = 'ETIMEDOUT';
+        req.destroy(err);
+      });
+      req.on('error', reject);
+      if (options?.body) req.write(options.body);
+      req.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+// Jira auth providers, picked by JIRA_AUTH:
+//   basic  – Cloud email + API token (default)
+//   pat    – Data Center / Server personal access token (Bearer)
+//   oauth2 – OAuth 2.0 client credentials; the access token is cached until shortly before expiry
+function createAuthProvider(kind) {
+  if (kind === 'basic') {
+    return {
+      kind,
+      configured: !!(JIRA_EMAIL && JIRA_API_TOKEN),
+      missing: 'JIRA_EMAIL/JIRA_API_TOKEN',
+      async header() {
+        return `Basic ${Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64')}`;
+      },
+    };
+  }
+  if (kind === 'pat') {
+    return {
+      kind,
+      configured: !!JIRA_PAT,
+      missing: 'JIRA_PAT',
+      async header() {
+        return `Bearer ${JIRA_PAT}`;
+      },
+    };
+  }
+  if (kind === 'oauth2') {
+    let token = null; // { value, expiresAt }
+    let pending = null;
+    async function fetchToken() {
+      const body = { grant_type: 'client_credentials', client_id: JIRA_OAUTH_CLIENT_ID, client_secret: JIRA_OAUTH_CLIENT_SECRET };
+      if (JIRA_OAUTH_SCOPE) body.scope = JIRA_OAUTH_SCOPE;
+      if (JIRA_OAUTH_AUDIENCE) body.audience = JIRA_OAUTH_AUDIENCE;
+      const json = await requestJSON(JIRA_OAUTH_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(body),
+        timeout: 15000,
+      });
+      if (!json.access_token) throw new Error('OAuth token response had no access_token');
+      const ttlMs = (Number(json.expires_in) || 3600) * 1000;
+      token = { value: json.access_token, expiresAt: Date.now() + Math.max(0, ttlMs - 60000) };
+      return token.value;
+    }
+    return {
+      kind,
+      configured: !!(JIRA_OAUTH_CLIENT_ID && JIRA_OAUTH_CLIENT_SECRET),
+      missing: 'JIRA_OAUTH_CLIENT_ID/JIRA_OAUTH_CLIENT_SECRET',
+      async header() {
+        if (token && Date.now() < token.expiresAt) return `Bearer ${token.value}`;
+        // concurrent callers share one token request
+        if (!pending) pending = fetchToken().finally(() => { pending = null; });
+        return `Bearer ${await pending}`;
+      },
+      // Called on a 401 so the next request fetches a fresh token
+      invalidate() {
+        token = null;
+      },
+    };
+  }
+  throw new Error(`Unknown JIRA_AUTH "${kind}" (use basic, pat or oauth2)`);
+}
+// Token is cached per function instance (warm invocations reuse it)
+const JIRA_AUTH_PROVIDER = createAuthProvider(JIRA_AUTH);
+
+// Jira calls: a JIRA_TIMEOUT_MS timeout, and one retry with a fresh token when an
+// OAuth token was expired or revoked (401)
+async function fetchJSON(url, options = {}) {
+  try {
+    return await requestJSON(url, { ...options, timeout: JIRA_TIMEOUT_MS });
+  } catch (err) {
+    if (err.status !== 401 || !JIRA_AUTH_PROVIDER.invalidate) throw err;
+    JIRA_AUTH_PROVIDER.invalidate();
+    const headers = { ...options.headers, 'Authorization': await JIRA_AUTH_PROVIDER.header() };
+    return requestJSON(url, { ...options, headers, timeout: JIRA_TIMEOUT_MS });
+  }
+}
+
+async function getAuthHeaders(userAgent) {
+  if (!JIRA_API_BASE_URL || !JIRA_AUTH_PROVIDER.configured) {
+    throw new Error(`Missing Jira configuration (JIRA_BASE_URL/${JIRA_AUTH_PROVIDER.missing})`);
+  }
+  return {
+    'Authorization': await JIRA_AUTH_PROVIDER.header(),
+    'Accept': 'application/json',
+    'User-Agent': userAgent || 'jira-leaderboard-netlify/1.0',
+  };
+}
+
+module.exports = { JIRA_BASE_URL, JIRA_API_BASE_URL, JIRA_AUTH, fetchJSON, getAuthHeaders };
@@ -0,0 +1,64 @@
+// Netlify Function: /api/achievements
+// Badges of every movers table grouped by badge, mirroring handleAchievements from server.js.
+// Built from the counts, filters and movers functions (movers are capped at 100 users per table here).
+// Query params:
+//   key   = movers table key (optional; default all tables)
+//   since, until = as for /api/movers
+
+const counts = require('./counts');
+const filters = require('./filters');
+const movers = require('./movers');
+
+const BADGE_ORDER = ['first', 'burst', 'streak', 'oldest', 'blocker'];
+const BADGE_LABELS = {
+  first: 'First close',
+  burst: '5 closes within an hour',
+  streak: 'Longest streak of days',
+  oldest: 'Closed the oldest bug',
+  blocker: 'Cleared a Blocker',
+};
+
+async function call(fn, params) {
+  const res = await fn.handler({ queryStringParameters: params || {} });
+  const body = JSON.parse(res.body);
+  if (res.statusCode !== 200) throw new Error(body.error || `HTTP ${res.statusCode}`);
+  return body;
+}
+
+exports.handler = async (req) => {
+  const params = req.queryStringParameters || {};
+  const json = (statusCode, body) => ({ statusCode, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify(body) });
+  try {
+    const [data, info] = await Promise.all([call(counts), call(filters)]);
+    const boards = params.key ? data.board.movers.filter((b) => b.key === params.key) : data.board.movers;
+    if (params.key && !boards.length) return json(400, { error: `Unknown movers table: ${params.key}` });
+    const tables = [];
+    for (const board of boards) {
+      const filter = info[board.metric] || {};
+      if (!filter.configured) continue;
+      const query = { metric: board.metric, limit: '100' };
+      for (const f of ['from', 'to', 'notFrom', 'notTo']) if (board[f]) query[f] = board[f];
+      if (params.since) query.since = params.since;
+      if (params.until) query.until = params.until;
+      const payload = await call(movers, query);
+      const byBadge = new Map();
+      for (const u of payload.users) {
+        for (const b of u.badges || []) {
+          if (!byBadge.has(b.id)) byBadge.set(b.id, { id: b.id, icon: b.icon, label: BADGE_LABELS[b.id] || b.id, awards: [] });
+          byBadge.get(b.id).awards.push({ user: u.user, accountId: u.accountId, title: b.title });
+        }
+      }
+      tables.push({
+        key: board.key,
+        label: board.label,
+        since: payload.since,
+        until: payload.until,
+        stale: false,
+        badges: BADGE_ORDER.filter((id) => byBadge.has(id)).map((id) => byBadge.get(id)),
+      });
+    }
+    return json(200, { tables });
+  } catch (err) {
+    return json(500, { error: String(err && err.message || err) });
+  }
+};
@@ -1,142 +1,174 @@
 // Netlify Function: /api/counts
 // Mirrors the logic from server.js but as a serverless function.
 
-const https = require('https');
-const http = require('http');
+const { cleanEnv, toJql, loadBoardConfig } = require('../../lib/board');
+const { JIRA_BASE_URL, JIRA_API_BASE_URL, JIRA_AUTH, fetchJSON, getAuthHeaders } = require('./_lib/jira');
 
-function cleanEnv(v) {
-  if (v == null) return '';
-  let s = String(v).trim();
-  if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
-    s = s.slice(1, -1);
-  }
-  return s.trim();
-}
-
-let JIRA_BASE_URL = cleanEnv(process.env.JIRA_BASE_URL);
-const JIRA_EMAIL = cleanEnv(process.env.JIRA_EMAIL);
-const JIRA_API_TOKEN = cleanEnv(process.env.JIRA_API_TOKEN);
-const JIRA_FILTER_QA_ID = cleanEnv(process.env.JIRA_FILTER_QA_ID);
-const JIRA_FILTER_DEV_ID = cleanEnv(process.env.JIRA_FILTER_DEV_ID);
-const JIRA_DEV_TODAY = cleanEnv(process.env.JIRA_DEV_TODAY);
-const JIRA_QA_TODAY = cleanEnv(process.env.JIRA_QA_TODAY);
-// New: Pre-bugbash filters
-const JIRA_PRE_DEV = cleanEnv(process.env.JIRA_PRE_DEV);
-const JIRA_PRE_QA = cleanEnv(process.env.JIRA_PRE_QA);
-const JIRA_DEPLOYMENTREADY = cleanEnv(process.env.JIRA_DEPLOYMENTREADY);
 const REFRESH_SECONDS = Number(cleanEnv(process.env.REFRESH_SECONDS) || 60);
 
-if (JIRA_BASE_URL && !/^https?:\/\//i.test(JIRA_BASE_URL)) {
-  JIRA_BASE_URL = 'https://' + JIRA_BASE_URL;
+const BOARD = loadBoardConfig();
+
+function boardLayout() {
+  const metrics = {};
+  for (const [id, m] of Object.entries(BOARD.metrics)) metrics[id] = { label: m.label };
+  return { metrics, columns: BOARD.columns, rows: BOARD.rows, highlights: BOARD.highlights, movers: BOARD.movers, scoring: !!BOARD.scoring, teams: BOARD.teams && { label: BOARD.teams.label, movers: BOARD.teams.movers } };
 }
 
-function toJql(filterOrJql) {
-  const raw = cleanEnv(filterOrJql);
-  if (!raw) return '';
-  if (/^\d+$/.test(raw)) return `filter=${raw}`;
-  if (/^https?:\/\//i.test(raw)) {
-    try {
-      const u = new URL(raw);
-      const filterId = u.searchParams.get('filter');
-      if (filterId && /^\d+$/.test(filterId)) return `filter=${filterId}`;
-      const jql = u.searchParams.get('jql');
-      if (jql) return jql;
-    } catch (_) {}
-  }
-  return raw;
+// Mirrors fetchFilterCount in server.js: only a site without the endpoint falls
+// back to the next one; bad JQL, missing permissions and outages are reported as they are
+function isMissingEndpoint(err) {
+  return err.status === 404 || err.status === 405 || err.status === 410;
 }
 
-function fetchJSON(url, options) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(url);
-    const isHttps = u.protocol === 'https:';
-    const lib = isHttps ? https : http;
-    const req = lib.request({
-      protocol: u.protocol,
-      hostname: u.hostname,
-      port: u.port || (isHttps ? 443 : 80),
-      path: u.pathname + u.search,
-      method: options?.method || 'GET',
-      headers: options?.headers || {},
-    }, (res) => {
-      let data = '';
-      res.setEncoding('utf8');
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
-          try { resolve(JSON.parse(data || '{}')); }
-          catch (e) { reject(new Error('Failed to parse JSON: ' + e.message)); }
-        } else {
-          reject(new Error('HTTP ' + res.statusCode + ': ' + data));
-        }
-      });
-    });
-    req.on('error', reject);
-    if (options?.body) req.write(options.body);
-    req.end();
-  });
+// Jira answered (2xx) without the number: this slot's problem, not an outage
+function countField(json, field, what) {
+  if (typeof json[field] === 'number') return json[field];
+  throw Object.assign(new Error(`Unexpected Jira ${what} response (no ${field})`), { status: 200 });
 }
 
 async function fetchFilterCount(filterOrJql) {
-  if (!JIRA_BASE_URL || !JIRA_EMAIL || !JIRA_API_TOKEN || !filterOrJql) {
-    throw new Error('Missing Jira config or filter/JQL');
-  }
-  const base = JIRA_BASE_URL.replace(/\/$/, '');
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  const headers = {
-    'Authorization': `Basic ${auth}`,
-    'Accept': 'application/json',
-    'User-Agent': 'jira-leaderboard-netlify/1.0',
-  };
+  if (!filterOrJql) throw new Error('Missing Jira config or filter/JQL');
+  const base = JIRA_API_BASE_URL;
+  const headers = await getAuthHeaders();
   const jql = toJql(filterOrJql);
   if (!jql) throw new Error('Empty JQL');
+  // Preferred: approximate-count (the search endpoints no longer return totals);
+  // older Cloud sites and Data Center fall back to the classic search totals
+  try {
+    const json = await fetchJSON(`${base}/rest/api/3/search/approximate-count`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jql }),
+    });
+    return countField(json, 'count', 'approximate-count');
+  } catch (e) {
+    if (!isMissingEndpoint(e)) throw e;
+  }
   const jqlParam = encodeURIComponent(jql);
-  const urlV3 = `${base}/rest/api/3/search?jql=${jqlParam}&maxResults=0`;
   try {
-    const json = await fetchJSON(urlV3, { headers });
-    if (typeof json.total === 'number') return json.total;
-    throw new Error('Unexpected Jira response (no total)');
-  } catch (_) {
-    const urlV2 = `${base}/rest/api/2/search?jql=${jqlParam}&maxResults=0`;
-    const json2 = await fetchJSON(urlV2, { headers });
-    if (typeof json2.total === 'number') return json2.total;
-    throw new Error('Unexpected Jira v2 response (no total)');
+    const json = await fetchJSON(`${base}/rest/api/3/search?jql=${jqlParam}&maxResults=0`, { headers });
+    return countField(json, 'total', 'v3 search');
+  } catch (e) {
+    if (!isMissingEndpoint(e)) throw e;
   }
+  const json = await fetchJSON(`${base}/rest/api/2/search?jql=${jqlParam}&maxResults=0`, { headers });
+  return countField(json, 'total', 'v2 search');
 }
 
-exports.handler = async () => {
+// Jira's errorMessages/errors for a failed call, else the HTTP status line
+function jiraErrorMessage(err) {
+  const text = String(err && err.message || err);
+  const m = /^HTTP (\d+): ([\s\S]*)$/.exec(text);
+  if (!m) return text;
   try {
-    const tasks = [
-      fetchFilterCount(JIRA_FILTER_QA_ID),
-      fetchFilterCount(JIRA_FILTER_DEV_ID),
-    ];
-    if (JIRA_DEV_TODAY) tasks.push(fetchFilterCount(JIRA_DEV_TODAY));
-    if (JIRA_QA_TODAY) tasks.push(fetchFilterCount(JIRA_QA_TODAY));
-    if (JIRA_PRE_DEV) tasks.push(fetchFilterCount(JIRA_PRE_DEV));
-    if (JIRA_PRE_QA) tasks.push(fetchFilterCount(JIRA_PRE_QA));
-    const includeDeploy = !!JIRA_DEPLOYMENTREADY;
-    if (includeDeploy) tasks.push(fetchFilterCount(JIRA_DEPLOYMENTREADY));
+    const body = JSON.parse(m[2]);
+    const messages = [...(body.errorMessages || []), ...Object.values(body.errors || {})];
+    if (messages.length) return `HTTP ${m[1]}: ${messages.join('; ')}`;
+  } catch (_) { /* not JSON */ }
+  return `HTTP ${m[1]}`;
+}
+
+// Network errors, 429 and 5xx mean Jira is down, not that a slot is misconfigured
+function isOutage(err) {
+  return !err.status || err.status === 429 || err.status >= 500;
+}
 
-    const results = await Promise.all(tasks);
-    const qa = results[0];
-    const dev = results[1];
-    let idx = 2;
-    const devToday = JIRA_DEV_TODAY ? results[idx++] : undefined;
-    const qaToday = JIRA_QA_TODAY ? results[idx++] : undefined;
-    const preDev = JIRA_PRE_DEV ? results[idx++] : undefined;
-    const preQa = JIRA_PRE_QA ? results[idx++] : undefined;
-    const deploymentReady = includeDeploy ? results[idx++] : undefined;
+// v3 first; Data Center only has v2 (a v2 404 is a real "not found")
+async function jiraGet(pathV3, headers) {
+  try {
+    return await fetchJSON(`${JIRA_API_BASE_URL}${pathV3}`, { headers });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    return fetchJSON(`${JIRA_API_BASE_URL}${pathV3.replace('/rest/api/3/', '/rest/api/2/')}`, { headers });
+  }
+}
+
+// Configuration self-check (mirrors healthPayload in server.js): Jira credentials,
+// each slot's filter and its JQL via /jql/parse
+async function health() {
+  const jira = { ok: false, baseUrl: JIRA_BASE_URL || null, auth: JIRA_AUTH, user: null, error: null };
+  const slots = Object.entries(BOARD.metrics).map(([id, m]) => ({ id, label: m.label, jql: toJql(m.filter), ok: false, error: null }));
+  try {
+    const headers = await getAuthHeaders();
+    const me = await jiraGet('/rest/api/3/myself', headers);
+    jira.ok = true;
+    jira.user = me.displayName || me.name || me.accountId || null;
+    for (const slot of slots) {
+      if (!slot.jql) { slot.error = 'No filter or JQL configured'; continue; }
+      const id = slot.jql.startsWith('filter=') ? slot.jql.slice('filter='.length) : null;
+      if (!id) { slot.query = slot.jql; continue; }
+      try {
+        slot.query = (await jiraGet(`/rest/api/3/filter/${encodeURIComponent(id)}`, headers)).jql || null;
+      } catch (err) {
+        if (isOutage(err)) throw err;
+        slot.error = err.status === 404 || err.status === 403 ? `Filter ${id} not found, or not shared with the Jira account` : jiraErrorMessage(err);
+      }
+    }
+    const toParse = slots.filter((slot) => !slot.error && slot.query);
+    if (toParse.length) {
+      try {
+        const json = await fetchJSON(`${JIRA_API_BASE_URL}/rest/api/3/jql/parse?validation=strict`, {
+          method: 'POST',
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ queries: toParse.map((slot) => slot.query) }),
+        });
+        const parsed = Array.isArray(json.queries) ? json.queries : [];
+        toParse.forEach((slot, i) => {
+          const errors = parsed[i] && Array.isArray(parsed[i].errors) ? parsed[i].errors : [];
+          if (errors.length) slot.error = `Invalid JQL: ${errors.join('; ')}`;
+        });
+      } catch (err) {
+        if (err.status !== 404) throw err;
+        // Data Center has no /jql/parse: running the count validates the JQL instead
+        for (const slot of toParse) {
+          try { await fetchFilterCount(slot.query); } catch (e) {
+            if (isOutage(e)) throw e;
+            slot.error = jiraErrorMessage(e);
+          }
+        }
+      }
+    }
+  } catch (err) {
+    jira.ok = false;
+    jira.error = err.status === 401 ? 'Jira rejected the credentials (HTTP 401)' : jiraErrorMessage(err);
+  }
+  for (const slot of slots) {
+    if (!jira.ok && !slot.error) slot.error = 'Not checked: the Jira check failed';
+    slot.ok = !slot.error;
+    delete slot.query;
+  }
+  return { ok: jira.ok && slots.every((slot) => slot.ok), checkedAt: new Date().toISOString(), jira, slots };
+}
+
+exports.health = health;
+
+exports.handler = async () => {
+  try {
+    const ids = Object.keys(BOARD.metrics);
+    const results = await Promise.allSettled(ids.map((id) => {
+      if (!toJql(BOARD.metrics[id].filter)) return Promise.reject(Object.assign(new Error('No filter or JQL configured'), { status: 400 }));
+      return fetchFilterCount(BOARD.metrics[id].filter);
+    }));
+    // Jira being down fails the whole board; a slot's own failure only hides that slot
+    const outage = results.find((r) => r.status === 'rejected' && isOutage(r.reason));
+    if (outage) throw outage.reason;
+    const counts = {};
+    const errors = {};
+    ids.forEach((id, i) => {
+      if (results[i].status === 'fulfilled') counts[id] = results[i].value;
+      else errors[id] = jiraErrorMessage(results[i].reason);
+    });
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json; charset=utf-8' },
-      body: JSON.stringify({ qa, dev, devToday, qaToday, preDev, preQa, deploymentReady, refreshSeconds: REFRESH_SECONDS }),
+      body: JSON.stringify({ board: boardLayout(), counts, errors, refreshSeconds: REFRESH_SECONDS }),
     };
   } catch (err) {
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json; charset=utf-8' },
-      body: JSON.stringify({ qa: 0, dev: 0, refreshSeconds: REFRESH_SECONDS, error: String(err && err.message || err) }),
+      body: JSON.stringify({ board: boardLayout(), counts: {}, refreshSeconds: REFRESH_SECONDS, error: String(err && err.message || err) }),
     };
   }
 };
@@ -0,0 +1,24 @@
+// Netlify Function: /api/event
+// Event name and window from board.config.json (`event`) or EVENT_* env, mirroring handleEvent from server.js
+
+const { loadBoardConfig, eventState } = require('../../lib/board');
+
+exports.handler = async () => {
+  try {
+    const ev = loadBoardConfig().event;
+    const body = ev
+      ? { configured: true, ...ev, state: eventState(ev), now: new Date().toISOString() }
+      : { configured: false };
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify(body),
+    };
+  } catch (err) {
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify({ error: String(err && err.message || err) }),
+    };
+  }
+};
@@ -0,0 +1,133 @@
+// Netlify Function: /api/export
+// CSV/JSON downloads of counts and movers, mirroring handleExport from server.js.
+// Built from the counts, filters, movers and event functions so the numbers match the board.
+// Query params:
+//   format = csv (default) | json
+//   what   = movers (default) | counts
+//   key    = movers table key (optional; default all tables)
+//   rank, since, until = as for /api/movers (movers are capped at 100 users per table here)
+
+const counts = require('./counts');
+const filters = require('./filters');
+const movers = require('./movers');
+const event = require('./event');
+const { isAdmin } = require('./_lib/access');
+
+// headers: the caller's, so an admin gets the filters in full
+async function call(fn, params, headers) {
+  const res = await fn.handler({ queryStringParameters: params || {}, headers: headers || {} });
+  const body = JSON.parse(res.body);
+  if (res.statusCode !== 200) throw Object.assign(new Error(body.error || `HTTP ${res.statusCode}`), { status: res.statusCode });
+  return body;
+}
+
+function csvCell(v) {
+  if (v == null) return '';
+  let text = String(v);
+  // Keep spreadsheets from evaluating names/JQL as formulas
+  if (typeof v === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function exportCounts(headers) {
+  const admin = isAdmin(headers);
+  const [data, info, ev] = await Promise.all([call(counts), call(filters, {}, headers), call(event)]);
+  const metrics = Object.entries(data.board.metrics).map(([id, m]) => ({
+    id,
+    label: m.label,
+    count: data.counts[id] ?? null,
+    ...(admin ? { filter: info[id] || { label: m.label, url: '', text: '' } } : {}),
+  }));
+  return {
+    what: 'counts',
+    generatedAt: new Date().toISOString(),
+    asOf: new Date().toISOString(),
+    stale: false,
+    error: data.error,
+    window: ev.configured ? { since: ev.start, until: ev.end } : null,
+    metrics,
+  };
+}
+
+async function exportMovers(params, headers) {
+  const admin = isAdmin(headers);
+  const [data, info] = await Promise.all([call(counts), call(filters, {}, headers)]);
+  const key = params.key;
+  const boards = key ? data.board.movers.filter((b) => b.key === key) : data.board.movers;
+  if (key && !boards.length) throw Object.assign(new Error(`Unknown movers table: ${key}`), { status: 400 });
+  const rank = params.rank === 'score' ? 'score' : 'count';
+  const tables = [];
+  for (const board of boards) {
+    const filter = info[board.metric] || {};
+    if (!filter.configured) continue;
+    const query = { metric: board.metric, limit: '100', rank };
+    for (const f of ['from', 'to', 'notFrom', 'notTo']) if (board[f]) query[f] = board[f];
+    if (params.since) query.since = params.since;
+    if (params.until) query.until = params.until;
+    const payload = await call(movers, query);
+    tables.push({
+      key: board.key,
+      label: board.label,
+      metric: board.metric,
+      from: board.from || null,
+      to: board.to || null,
+      notFrom: board.notFrom || null,
+      notTo: board.notTo || null,
+      since: payload.since,
+      until: payload.until,
+      totalIssues: payload.totalIssues,
+      truncated: payload.truncated,
+      stale: false,
+      asOf: null,
+      ...(admin ? { filter } : {}),
+      users: payload.users,
+    });
+  }
+  return { what: 'movers', generatedAt: new Date().toISOString(), rank, tables };
+}
+
+exports.handler = async (req) => {
+  const params = req.queryStringParameters || {};
+  const format = params.format || 'csv';
+  const what = params.what || 'movers';
+  const json = (statusCode, body) => ({ statusCode, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify(body) });
+  if (format !== 'csv' && format !== 'json') return json(400, { error: 'format must be csv or json' });
+  if (what !== 'counts' && what !== 'movers') return json(400, { error: 'what must be counts or movers' });
+  // filter text and URLs only go to admins
+  const admin = isAdmin(req.headers);
+  const filterCols = (f) => (admin ? [f.text, f.url] : []);
+  const filterHead = admin ? ['filter', 'filter_url'] : [];
+  try {
+    const data = what === 'counts' ? await exportCounts(req.headers) : await exportMovers(params, req.headers);
+    let body;
+    if (format === 'json') {
+      body = JSON.stringify(data, null, 2);
+    } else if (what === 'counts') {
+      body = toCsv(
+        ['metric', 'label', 'count', 'as_of', 'stale', 'window_since', 'window_until', ...filterHead],
+        data.metrics.map((m) => [m.id, m.label, m.count, data.asOf, data.stale, data.window && data.window.since, data.window && data.window.until, ...filterCols(m.filter)]),
+      );
+    } else {
+      const rows = [];
+      for (const t of data.tables) {
+        t.users.forEach((u, i) => rows.push([t.label, i + 1, u.user, u.accountId, u.count, u.score, t.from, t.to, t.notFrom, t.notTo, t.since, t.until, t.stale, ...filterCols(t.filter)]));
+      }
+      body = toCsv(['table', 'rank', 'user', 'account_id', 'count', 'score', 'from', 'to', 'not_from', 'not_to', 'since', 'until', 'stale', ...filterHead], rows);
+    }
+    const filename = `${what}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      },
+      body,
+    };
+  } catch (err) {
+    return json(err.status || 500, { error: String(err && err.message || err) });
+  }
+};
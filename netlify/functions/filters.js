@@ -1,51 +1,18 @@
 // Netlify Function: /api/filters
 // Builds filter URLs from env (no Jira call), mirroring buildFilterInfo from server.js
 
-function cleanEnv(v) {
-  if (v == null) return '';
-  let s = String(v).trim();
-  if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
-    s = s.slice(1, -1);
-  }
-  return s.trim();
-}
-
-let JIRA_BASE_URL = cleanEnv(process.env.JIRA_BASE_URL);
-const JIRA_FILTER_QA_ID = cleanEnv(process.env.JIRA_FILTER_QA_ID);
-const JIRA_FILTER_DEV_ID = cleanEnv(process.env.JIRA_FILTER_DEV_ID);
-const JIRA_DEV_TODAY = cleanEnv(process.env.JIRA_DEV_TODAY);
-const JIRA_QA_TODAY = cleanEnv(process.env.JIRA_QA_TODAY);
-const JIRA_DEPLOYMENTREADY = cleanEnv(process.env.JIRA_DEPLOYMENTREADY);
-// New: Pre-bugbash filters
-const JIRA_PRE_DEV = cleanEnv(process.env.JIRA_PRE_DEV);
-const JIRA_PRE_QA = cleanEnv(process.env.JIRA_PRE_QA);
+const { toJql, loadBoardConfig } = require('../../lib/board');
+const { JIRA_BASE_URL } = require('./_lib/jira');
+const { isAdmin } = require('./_lib/access');
 
-if (JIRA_BASE_URL && !/^https?:\/\//i.test(JIRA_BASE_URL)) {
-  JIRA_BASE_URL = 'https://' + JIRA_BASE_URL;
-}
-
-function toJql(filterOrJql) {
-  const raw = cleanEnv(filterOrJql);
-  if (!raw) return '';
-  if (/^\d+$/.test(raw)) return `filter=${raw}`;
-  if (/^https?:\/\//i.test(raw)) {
-    try {
-      const u = new URL(raw);
-      const filterId = u.searchParams.get('filter');
-      if (filterId && /^\d+$/.test(filterId)) return `filter=${filterId}`;
-      const jql = u.searchParams.get('jql');
-      if (jql) return jql;
-    } catch (_) {}
-  }
-  return raw;
-}
+const BOARD = loadBoardConfig();
 
 function buildFilterInfo(label, filterOrJql) {
   const base = (JIRA_BASE_URL || '').replace(/\/$/, '');
   const jqlOrFilter = toJql(filterOrJql);
   let url = '';
   let text = '';
-  if (!base || !jqlOrFilter) return { label, url: '', text: '' };
+  if (!base || !jqlOrFilter) return { label, url: '', text: '', configured: !!jqlOrFilter };
   if (jqlOrFilter.startsWith('filter=')) {
     const id = jqlOrFilter.slice('filter='.length);
     url = `${base}/issues/?filter=${encodeURIComponent(id)}`;
@@ -54,20 +21,23 @@ function buildFilterInfo(label, filterOrJql) {
     url = `${base}/issues/?jql=${encodeURIComponent(jqlOrFilter)}`;
     text = `JQL (${jqlOrFilter.slice(0, 80)}${jqlOrFilter.length > 80 ? '…' : ''})`;
   }
-  return { label, url, text };
+  return { label, url, text, configured: true };
 }
 
-exports.handler = async () => {
-  const payload = {
-    baseUrl: (JIRA_BASE_URL || '').replace(/\/$/, ''),
-    qa: buildFilterInfo('QA', JIRA_FILTER_QA_ID),
-    dev: buildFilterInfo('Dev', JIRA_FILTER_DEV_ID),
-    preDev: buildFilterInfo('Pre Dev', JIRA_PRE_DEV),
-    preQa: buildFilterInfo('Pre QA', JIRA_PRE_QA),
-    devToday: buildFilterInfo('Dev Today', JIRA_DEV_TODAY),
-    qaToday: buildFilterInfo('QA Today', JIRA_QA_TODAY),
-    deploymentReady: buildFilterInfo('Deployment Ready', JIRA_DEPLOYMENTREADY),
-  };
+// What non-admins see of a filter: no text, and a link only to a saved filter
+// (a raw JQL link would spell out the query and the Jira site)
+function publicFilterInfo(label, filterOrJql) {
+  const info = buildFilterInfo(label, filterOrJql);
+  const saved = toJql(filterOrJql).startsWith('filter=');
+  return { label, url: saved ? info.url : '', configured: info.configured };
+}
+
+exports.handler = async (req) => {
+  const admin = isAdmin(req && req.headers);
+  const payload = admin ? { baseUrl: (JIRA_BASE_URL || '').replace(/\/$/, '') } : {};
+  for (const [id, m] of Object.entries(BOARD.metrics)) {
+    payload[id] = admin ? buildFilterInfo(m.label, m.filter) : publicFilterInfo(m.label, m.filter);
+  }
   return {
     statusCode: 200,
     headers: { 'Content-Type': 'application/json; charset=utf-8' },
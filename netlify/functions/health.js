@@ -0,0 +1,30 @@
+// Netlify Function: /api/health
+// Configuration self-check, mirroring handleHealth from server.js: Jira credentials
+// (/myself), every slot's filter and its JQL (/jql/parse). 503 when anything fails.
+
+const counts = require('./counts');
+const { isAdmin } = require('./_lib/access');
+
+// Non-admins get the verdicts without the Jira site, filter text or JQL
+function publicHealth(payload) {
+  const { baseUrl, ...jira } = payload.jira;
+  return { ...payload, jira, slots: payload.slots.map(({ filter, jql, ...slot }) => slot) };
+}
+
+exports.handler = async (req) => {
+  try {
+    const health = await counts.health();
+    const payload = isAdmin(req && req.headers) ? health : publicHealth(health);
+    return {
+      statusCode: payload.ok ? 200 : 503,
+      headers: { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' },
+      body: JSON.stringify(payload),
+    };
+  } catch (err) {
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify({ ok: false, error: String(err && err.message || err) }),
+    };
+  }
+};
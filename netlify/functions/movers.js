@@ -1,27 +1,28 @@
 // Netlify Function: /api/movers
 // Aggregates per-user transitions from one status to another over a set of issues defined by a filter/JQL.
 // Query params:
-//   filter  = filter id | full filter URL | raw JQL   (required)
+//   metric  = metric id from the board config (or the legacy env slots); the filter it names is used
+//   project = project key listed in MOVERS_ALLOWED_PROJECTS (instead of metric)
+//   filter  = filter id | full filter URL | raw JQL; only a configured filter, unless
+//             the request carries `Authorization: Bearer <ADMIN_TOKEN>`
 //   from    = source status name (optional; defaults to ANY)
 //   to      = target status name (optional; defaults to Done)
-//   since   = ISO datetime to bound transition time (optional)
-//   until   = ISO datetime upper bound (optional)
+//   since   = ISO datetime to bound transition time (optional; defaults to the event start)
+//   until   = ISO datetime upper bound (optional; defaults to the event end)
 //   limit   = max number of users in response (default 20)
+//   rank    = count (default) | score (weighted by the board config `scoring` rules)
+//   aggregate = user (default) | team (sums per team from the board config `teams` mapping)
+//   maxIssues = cap on issues walked (default/max MOVERS_MAX_ISSUES, 5000)
+// /api/movers/detail takes the same params plus user=<accountId> and lists every
+// transition counted for that user.
 //
 // Env required (same as other functions):
-//   JIRA_BASE_URL, JIRA_EMAIL, JIRA_API_TOKEN
+//   JIRA_BASE_URL plus credentials for JIRA_AUTH (basic: JIRA_EMAIL, JIRA_API_TOKEN)
 
-const https = require('https');
-const http = require('http');
-
-function cleanEnv(v) {
-  if (v == null) return '';
-  let s = String(v).trim();
-  if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
-    s = s.slice(1, -1);
-  }
-  return s.trim();
-}
+const { cleanEnv, toJql, loadBoardConfig } = require('../../lib/board');
+const { mapLimit, userId, moversFields, buildMovers, shapeMovers } = require('../../lib/movers');
+const { isAdmin } = require('./_lib/access');
+const { JIRA_BASE_URL, JIRA_API_BASE_URL, fetchJSON, getAuthHeaders } = require('./_lib/jira');
 
 // Simple in-memory cache (per lambda instance) with TTL
 const CACHE = new Map();
@@ -35,212 +36,248 @@ function cacheSet(key, value, ttlMs) {
   CACHE.set(key, { value, expireAt: ttlMs ? Date.now() + ttlMs : 0 });
 }
 
-async function discoverTransitionPairs(issues, since, until) {
-  const pairs = new Map(); // key: `${from}→${to}` => count
-  for (const issue of issues) {
+// Safety cap on issues walked per query (search is fully paginated up to this)
+const MOVERS_MAX_ISSUES = Math.max(1, Number(cleanEnv(process.env.MOVERS_MAX_ISSUES) || 5000));
+// Changelog source: auto (bulk, falling back to per-issue), bulk or issue
+const CHANGELOG_MODE = (cleanEnv(process.env.CHANGELOG_MODE) || 'auto').toLowerCase();
+const CHANGELOG_BULK_BATCH = Math.max(1, Math.min(1000, Number(cleanEnv(process.env.CHANGELOG_BULK_BATCH) || 1000)));
+const USER_AGENT = 'jira-leaderboard-movers/1.0';
+
+// Walks /rest/api/3/search/jql page by page (nextPageToken) up to `max` issues.
+// Jira Data Center has no /search/jql, so a 404 falls back to startAt paging on v2.
+async function searchIssues(jql, max=MOVERS_MAX_ISSUES, extraFields=[]) {
+  const base = JIRA_API_BASE_URL;
+  const headers = { ...(await getAuthHeaders(USER_AGENT)), 'Content-Type': 'application/json' };
+  const fields = ['key', 'updated', ...extraFields];
+  const issues = [];
+  let more = false;
+  try {
+    let nextPageToken;
+    do {
+      // We only need keys here; changelog fetched per-issue
+      const body = { jql, maxResults: Math.max(1, Math.min(100, max - issues.length)), fields };
+      if (nextPageToken) body.nextPageToken = nextPageToken;
+      const res = await fetchJSON(`${base}/rest/api/3/search/jql`, { method: 'POST', headers, body: JSON.stringify(body) });
+      const page = Array.isArray(res.issues) ? res.issues : [];
+      for (const it of page) issues.push({ key: it.key, id: it.id, updated: it.fields && it.fields.updated || null, fields: it.fields || {} });
+      nextPageToken = page.length && !res.isLast ? res.nextPageToken : undefined;
+    } while (nextPageToken && issues.length < max);
+    more = !!nextPageToken;
+  } catch (e) {
+    if (e.status !== 404) throw e;
+    let total = 0;
+    do {
+      const res = await fetchJSON(`${base}/rest/api/2/search`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ jql, startAt: issues.length, maxResults: Math.max(1, Math.min(100, max - issues.length)), fields }),
+      });
+      const page = Array.isArray(res.issues) ? res.issues : [];
+      total = res.total || 0;
+      for (const it of page) issues.push({ key: it.key, id: it.id, updated: it.fields && it.fields.updated || null, fields: it.fields || {} });
+      if (!page.length) break;
+    } while (issues.length < total && issues.length < max);
+    more = issues.length < total;
+  }
+  return { issues: issues.slice(0, max), truncated: more };
+}
+
+async function fetchChangelog(issueId, startAt=0, maxResults=100) {
+  const base = JIRA_API_BASE_URL;
+  const headers = await getAuthHeaders(USER_AGENT);
+  const url = `${base}/rest/api/3/issue/${issueId}/changelog?startAt=${startAt}&maxResults=${maxResults}`;
+  return fetchJSON(url, { headers });
+}
+
+// Per-issue changelogs: one request per issue (more when it pages)
+async function fetchChangelogsPerIssue(issues) {
+  const byIssue = new Map(issues.map((it) => [String(it.id), []]));
+  async function processIssue(issue) {
+    const list = byIssue.get(String(issue.id));
     let startAt = 0;
     let total = 0;
     do {
       const log = await fetchChangelog(issue.id, startAt, 100);
       total = log.total || 0;
       const histories = Array.isArray(log.values) ? log.values : [];
-      for (const h of histories) {
-        const created = h.created;
-        if (since || until) {
-          if (!withinWindow(created, since, until)) continue;
-        }
-        const items = Array.isArray(h.items) ? h.items : [];
-        for (const it of items) {
-          if (it.field !== 'status') continue;
-          const from = (it.fromString || '').trim();
-          const to = (it.toString || '').trim();
-          const key = `${from}→${to}`;
-          pairs.set(key, (pairs.get(key) || 0) + 1);
-        }
-      }
+      list.push(...histories);
       startAt += histories.length;
       if (histories.length === 0) break;
     } while (startAt < total);
   }
-  const arr = Array.from(pairs.entries()).map(([pair, count]) => {
-    const [from, to] = pair.split('→');
-    return { from, to, count };
-  });
-  arr.sort((a,b) => b.count - a.count || `${a.from}→${a.to}`.localeCompare(`${b.from}→${b.to}`));
-  return arr;
-}
-
-let JIRA_BASE_URL = cleanEnv(process.env.JIRA_BASE_URL);
-const JIRA_EMAIL = cleanEnv(process.env.JIRA_EMAIL);
-const JIRA_API_TOKEN = cleanEnv(process.env.JIRA_API_TOKEN);
-
-if (JIRA_BASE_URL && !/^https?:\/\//i.test(JIRA_BASE_URL)) {
-  JIRA_BASE_URL = 'https://' + JIRA_BASE_URL;
+  const concurrency = Math.max(1, Math.min(10, Number(process.env.MOVERS_CONCURRENCY || 5)));
+  await mapLimit(issues, concurrency, processIssue);
+  return byIssue;
 }
 
-function toJql(filterOrJql) {
-  const raw = cleanEnv(filterOrJql);
-  if (!raw) return '';
-  if (/^\d+$/.test(raw)) return `filter=${raw}`;
-  if (/^https?:\/\//i.test(raw)) {
-    try {
-      const u = new URL(raw);
-      const filterId = u.searchParams.get('filter');
-      if (filterId && /^\d+$/.test(filterId)) return `filter=${filterId}`;
-      const jql = u.searchParams.get('jql');
-      if (jql) return jql;
-    } catch (_) {}
+// Bulk changelogs: status-only histories for up to 1000 issues per request
+async function fetchChangelogsBulk(issues) {
+  const base = JIRA_API_BASE_URL;
+  const headers = { ...(await getAuthHeaders(USER_AGENT)), 'Content-Type': 'application/json' };
+  const byIssue = new Map(issues.map((it) => [String(it.id), []]));
+  for (let i = 0; i < issues.length; i += CHANGELOG_BULK_BATCH) {
+    const issueIdsOrKeys = issues.slice(i, i + CHANGELOG_BULK_BATCH).map((it) => it.id);
+    let nextPageToken;
+    do {
+      const body = { issueIdsOrKeys, fieldIds: ['status'], maxResults: 1000 };
+      if (nextPageToken) body.nextPageToken = nextPageToken;
+      const res = await fetchJSON(`${base}/rest/api/3/changelog/bulkfetch`, { method: 'POST', headers, body: JSON.stringify(body) });
+      const logs = Array.isArray(res.issueChangeLogs) ? res.issueChangeLogs : [];
+      for (const log of logs) {
+        const list = byIssue.get(String(log.issueId));
+        if (list && Array.isArray(log.changeHistories)) list.push(...log.changeHistories);
+      }
+      nextPageToken = logs.length ? res.nextPageToken : undefined;
+    } while (nextPageToken);
   }
-  return raw;
+  return byIssue;
 }
 
-function fetchJSON(url, options) {
-  return new Promise((resolve, reject) => {
+// issue id => change histories, via bulk fetch unless CHANGELOG_MODE=issue.
+// In auto mode a site without bulkfetch (e.g., Data Center) switches to per-issue for good.
+let bulkChangelogUnavailable = false;
+async function fetchStatusHistories(issues) {
+  if (CHANGELOG_MODE !== 'issue' && !bulkChangelogUnavailable) {
     try {
-      const u = new URL(url);
-      const isHttps = u.protocol === 'https:';
-      const lib = isHttps ? https : http;
-      const req = lib.request({
-        protocol: u.protocol,
-        hostname: u.hostname,
-        port: u.port || (isHttps ? 443 : 80),
-        path: u.pathname + u.search,
-        method: options?.method || 'GET',
-        headers: options?.headers || {},
-      }, (res) => {
-        let data = '';
-        res.setEncoding('utf8');
-        res.on('data', (chunk) => data += chunk);
-        res.on('end', () => {
-          if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
-            try { resolve(JSON.parse(data || '{}')); }
-            catch (e) { reject(new Error('Failed to parse JSON: ' + e.message)); }
-          } else {
-            reject(new Error('HTTP ' + res.statusCode + ': ' + data));
-          }
-        });
-      });
-      req.on('error', reject);
-      if (options?.body) req.write(options.body);
-      req.end();
+      return await fetchChangelogsBulk(issues);
     } catch (e) {
-      reject(e);
+      if (CHANGELOG_MODE === 'bulk' || ![403, 404, 405, 501].includes(e.status)) throw e;
+      bulkChangelogUnavailable = true;
+      console.warn('Bulk changelog fetch unavailable, using per-issue changelogs:', e.message);
     }
-  });
+  }
+  return fetchChangelogsPerIssue(issues);
 }
 
-function getAuthHeaders() {
-  if (!JIRA_BASE_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
-    throw new Error('Missing Jira configuration (JIRA_BASE_URL/JIRA_EMAIL/JIRA_API_TOKEN)');
-  }
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
+// /movers/detail response for one user of a computed movers body
+function detailResponse(body, details, user, admin) {
+  const id = ALIASES[user] || user;
+  const transitions = details.get(id);
+  if (!transitions) return { statusCode: 404, body: JSON.stringify({ error: 'No counted transitions for that user in this window' }) };
+  const row = (body.users || []).find((u) => u.accountId === id);
   return {
-    'Authorization': `Basic ${auth}`,
-    'Accept': 'application/json',
-    'User-Agent': 'jira-leaderboard-movers/1.0',
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    body: JSON.stringify({
+      accountId: id,
+      user: row ? row.user : null,
+      count: transitions.length,
+      score: Math.round(transitions.reduce((sum, t) => sum + t.weight, 0) * 100) / 100,
+      ...(admin ? { filter: body.filter } : {}),
+      from: body.from,
+      to: body.to,
+      notFrom: body.notFrom,
+      notTo: body.notTo,
+      since: body.since,
+      until: body.until,
+      truncated: body.truncated,
+      transitions,
+    }),
   };
 }
 
-async function searchIssues(jql, max=200) {
-  const base = JIRA_BASE_URL.replace(/\/$/, '');
-  const headers = getAuthHeaders();
-  const jqlParam = encodeURIComponent(jql);
-  const fields = encodeURIComponent('key');
-  // We only need keys here; changelog fetched per-issue
-  const url = `${base}/rest/api/3/search?jql=${jqlParam}&maxResults=${Math.min(max,1000)}&fields=${fields}`;
-  const res = await fetchJSON(url, { headers });
-  const issues = Array.isArray(res.issues) ? res.issues : [];
-  return issues.map(it => ({ key: it.key, id: it.id }));
-}
-
-async function fetchChangelog(issueId, startAt=0, maxResults=100) {
-  const base = JIRA_BASE_URL.replace(/\/$/, '');
-  const headers = getAuthHeaders();
-  const url = `${base}/rest/api/3/issue/${issueId}/changelog?startAt=${startAt}&maxResults=${maxResults}`;
-  return fetchJSON(url, { headers });
+// user (lower-cased accountId or display name) => team, from the config lists
+// plus the Jira groups (members cached for an hour)
+async function teamMap() {
+  const teams = TEAMS;
+  const cached = cacheGet('teams:map');
+  if (cached) return cached;
+  const map = new Map();
+  for (const [team, group] of Object.entries(teams.groups)) {
+    for (const id of await fetchGroupMembers(group)) if (!map.has(id.toLowerCase())) map.set(id.toLowerCase(), team);
+  }
+  // explicit lists win over group membership
+  for (const [team, users] of Object.entries(teams.members)) for (const user of users) map.set((ALIASES[user] || user).toLowerCase(), team);
+  cacheSet('teams:map', map, 3600000);
+  return map;
 }
 
-function withinWindow(ts, since, until) {
-  const t = new Date(ts).getTime();
-  if (Number.isNaN(t)) return false;
-  if (since && t < new Date(since).getTime()) return false;
-  if (until && t > new Date(until).getTime()) return false;
-  return true;
+async function fetchGroupMembers(group) {
+  const base = JIRA_API_BASE_URL;
+  const headers = await getAuthHeaders(USER_AGENT);
+  const ids = [];
+  for (const version of ['3', '2']) {
+    try {
+      let startAt = 0;
+      for (;;) {
+        const qs = new URLSearchParams({ groupname: group, startAt: String(startAt), maxResults: '50', includeInactiveUsers: 'true' });
+        const page = await fetchJSON(`${base}/rest/api/${version}/group/member?${qs}`, { headers });
+        const values = Array.isArray(page.values) ? page.values : [];
+        for (const u of values) ids.push(userId(u, ALIASES));
+        startAt += values.length;
+        if (page.isLast !== false || !values.length) break;
+      }
+      return ids;
+    } catch (err) {
+      // Data Center only has the v2 resource
+      if (err.status !== 404 || version === '2') throw err;
+    }
+  }
+  return ids;
 }
 
-async function countTransitionsByUser(issues, fromName, toName, since, until, notFromName, notToName) {
-  const counts = new Map(); // author.displayName => number
+const BOARD = loadBoardConfig();
+const EVENT = BOARD.event;
+const TEAMS = BOARD.teams;
+const ALIASES = BOARD.aliases;
+const MOVERS_ALLOWED_PROJECTS = cleanEnv(process.env.MOVERS_ALLOWED_PROJECTS).split(',').map((p) => p.trim().toUpperCase()).filter(Boolean);
 
-  // Concurrency-limited worker pool
-  async function processIssue(issue) {
-    let startAt = 0;
-    let total = 0;
-    do {
-      const log = await fetchChangelog(issue.id, startAt, 100);
-      total = log.total || 0;
-      const histories = Array.isArray(log.values) ? log.values : [];
-      for (const h of histories) {
-        const authorName = h.author && (h.author.displayName || h.author.name || h.author.accountId) || 'Unknown';
-        const created = h.created;
-        if (since || until) {
-          if (!withinWindow(created, since, until)) continue;
-        }
-        const items = Array.isArray(h.items) ? h.items : [];
-        for (const it of items) {
-          if (it.field !== 'status') continue;
-          const from = (it.fromString || '').trim();
-          const to = (it.toString || '').trim();
-          const fromOk = (!fromName || from.toLowerCase() === fromName.toLowerCase()) && (!notFromName || from.toLowerCase() !== notFromName.toLowerCase());
-          const toOk = (!toName || to.toLowerCase() === toName.toLowerCase()) && (!notToName || to.toLowerCase() !== notToName.toLowerCase());
-          if (fromOk && toOk) {
-            counts.set(authorName, (counts.get(authorName) || 0) + 1);
-          }
-        }
-      }
-      startAt += histories.length;
-      if (histories.length === 0) break;
-    } while (startAt < total);
+// Mirrors moversFilter in server.js: named metrics, allowlisted projects, or
+// (with the admin token) any filter/JQL
+function moversFilter(event, params) {
+  const metric = params.get('metric');
+  const project = params.get('project');
+  const filter = params.get('filter');
+  if (metric) {
+    if (!Object.prototype.hasOwnProperty.call(BOARD.metrics, metric)) return { status: 400, error: `Unknown metric: ${metric}` };
+    return { filter: BOARD.metrics[metric].filter };
   }
-
-  async function mapLimit(arr, limit, iter) {
-    const pending = new Set();
-    for (const item of arr) {
-      const p = Promise.resolve().then(() => iter(item));
-      pending.add(p);
-      p.finally(() => pending.delete(p));
-      if (pending.size >= limit) {
-        await Promise.race(pending);
-      }
-    }
-    await Promise.all(pending);
+  if (project) {
+    const key = project.trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9_]*$/.test(key) || !MOVERS_ALLOWED_PROJECTS.includes(key)) return { status: 403, error: `Project ${project} is not in MOVERS_ALLOWED_PROJECTS` };
+    return { filter: `project = ${key}` };
   }
+  if (!filter) return { status: 400, error: 'Missing required query param: metric (or filter)' };
+  const jql = toJql(filter);
+  const configured = !!jql && Object.values(BOARD.metrics).some((m) => toJql(m.filter) === jql);
+  if (!configured && !isAdmin(event.headers)) return { status: 403, error: 'Only the board\'s configured filters can be queried; raw JQL needs the admin token' };
+  return { filter };
+}
 
-  const concurrency = Math.max(1, Math.min(10, Number(process.env.MOVERS_CONCURRENCY || 5)));
-  await mapLimit(issues, concurrency, processIssue);
+const MOVERS_CACHE_TTL_MS = 60000;
 
-  const arr = Array.from(counts.entries()).map(([user, count]) => ({ user, count }));
-  arr.sort((a,b) => b.count - a.count || a.user.localeCompare(b.user));
-  return arr;
+// Same as computeMoversFresh in server.js: { payload, details } with every
+// counted user (by count) or team
+async function computeFull(query) {
+  const { issues, truncated } = await searchIssues(query.jql, query.maxIssues, moversFields(BOARD.scoring));
+  const historiesByIssue = await fetchStatusHistories(issues);
+  return buildMovers({ issues, truncated, historiesByIssue }, query, { board: BOARD, baseUrl: JIRA_BASE_URL, teamMap });
 }
 
 exports.handler = async (event) => {
   try {
     const params = new URLSearchParams(event.queryStringParameters || {});
-    const filter = params.get('filter');
+    const { filter, status, error } = moversFilter(event, params);
+    if (error) return { statusCode: status, body: JSON.stringify({ error }) };
     const from = params.get('from'); // e.g., "In QA"
     const to = params.get('to');
     const notFrom = params.get('notFrom');
     const notTo = params.get('notTo');
-    const since = params.get('since');
-    const until = params.get('until');
+    // Without an explicit window, count transitions during the configured event
+    const since = params.get('since') || (EVENT ? EVENT.start : null);
+    const until = params.get('until') || (EVENT ? EVENT.end : null);
     const limit = Math.min(parseInt(params.get('limit') || '20', 10) || 20, 100);
-    const maxIssues = Math.min(parseInt(params.get('maxIssues') || '150', 10) || 150, 1000);
-    const concurrencyParam = Math.min(parseInt(params.get('concurrency') || '0', 10) || 0, 20);
-    const ttl = Math.min(parseInt(params.get('ttl') || '60', 10) || 60, 600) * 1000; // default 60s
+    const maxIssues = Math.min(parseInt(params.get('maxIssues') || '0', 10) || MOVERS_MAX_ISSUES, MOVERS_MAX_ISSUES);
     const discover = params.get('discover') === '1';
+    const rank = params.get('rank') === 'score' ? 'score' : 'count';
+    const aggregate = params.get('aggregate') === 'team' ? 'team' : 'user';
+    // /api/movers/detail?user=<accountId>: the transitions counted for one user
+    const detailUser = /\/detail\/?$/.test(event.path || '') ? params.get('user') || '' : null;
 
-    if (!filter) {
-      return { statusCode: 400, body: JSON.stringify({ error: 'Missing required query param: filter' }) };
+    if (detailUser === '') return { statusCode: 400, body: JSON.stringify({ error: 'Missing required query param: user' }) };
+    if (detailUser && discover) return { statusCode: 400, body: JSON.stringify({ error: 'discover=1 has no per-user detail' }) };
+    if (aggregate === 'team' && !TEAMS) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'aggregate=team needs a teams section in the board config' }) };
     }
     const jqlOrFilter = toJql(filter);
     if (!jqlOrFilter) {
@@ -250,49 +287,24 @@ exports.handler = async (event) => {
     // Build JQL: if it's filter=NN, Jira will handle it; if it's JQL, we use it as-is.
     const jql = jqlOrFilter.startsWith('filter=') ? jqlOrFilter : jqlOrFilter;
 
-    const cacheKey = JSON.stringify({ jql, from, to, notFrom, notTo, since, until, limit, maxIssues, concurrencyParam });
-    const cached = cacheGet(cacheKey);
-    if (cached) {
-      return {
-        statusCode: 200,
-        headers: { 'Content-Type': 'application/json; charset=utf-8', 'X-Cache': 'HIT' },
-        body: JSON.stringify(cached),
-      };
+    // The cache holds the full, unranked result; rank and limit only sort and slice it
+    const cacheKey = JSON.stringify({ jql, from, to, notFrom, notTo, since, until, maxIssues, discover, aggregate });
+    let full = cacheGet(cacheKey);
+    const hit = !!full;
+    if (!full) {
+      full = await computeFull({ filter, jql, from, to, notFrom, notTo, since, until, maxIssues, discover, aggregate });
+      cacheSet(cacheKey, full, MOVERS_CACHE_TTL_MS);
     }
-
-    const issues = await searchIssues(jql, maxIssues);
-
-    if (discover) {
-      const pairs = await discoverTransitionPairs(issues, since, until);
-      const topPairs = pairs.slice(0, Math.min(limit, 100));
-      const payload = {
-        statusCode: 200,
-        headers: { 'Content-Type': 'application/json; charset=utf-8' },
-        body: JSON.stringify({ filter, since: since || null, until: until || null, totalIssues: issues.length, transitions: topPairs }),
-      };
-      cacheSet(cacheKey, JSON.parse(payload.body), ttl);
-      return payload;
-    }
-
-    const results = await countTransitionsByUser(issues, from, to, since, until, notFrom, notTo);
-    const top = results.slice(0, limit);
-    const payload = {
+    const admin = isAdmin(event.headers);
+    if (detailUser) return detailResponse(full.payload, full.details, detailUser, admin);
+    // the filter echoes the configured JQL, so only admins get it back
+    const body = shapeMovers(full.payload, rank, limit);
+    if (!admin) delete body.filter;
+    return {
       statusCode: 200,
-      headers: { 'Content-Type': 'application/json; charset=utf-8' },
-      body: JSON.stringify({
-        filter,
-        from: from || null,
-        to: to || null,
-        notFrom: notFrom || null,
-        notTo: notTo || null,
-        since: since || null,
-        until: until || null,
-        totalIssues: issues.length,
-        users: top,
-      }),
+      headers: { 'Content-Type': 'application/json; charset=utf-8', ...(hit ? { 'X-Cache': 'HIT' } : {}) },
+      body: JSON.stringify(body),
     };
-    cacheSet(cacheKey, JSON.parse(payload.body), ttl);
-    return payload;
   } catch (err) {
     return { statusCode: 500, body: JSON.stringify({ error: String(err && err.message || err) }) };
   }
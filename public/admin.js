@@ -0,0 +1,138 @@
+// Admin page: edit filter/JQL slots and movers statuses through /api/admin/*.
+// The admin token is kept in sessionStorage and sent as a Bearer header;
+// users the SSO proxy marks as admins get in without one.
+
+const TOKEN_KEY = 'adminToken';
+const MOVERS_FIELDS = ['from', 'to', 'notFrom', 'notTo'];
+
+function setStatus(text, stale) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.classList.toggle('stale', !!stale);
+}
+
+async function adminFetch(path, body) {
+  const opts = { cache: 'no-store', headers: { Authorization: `Bearer ${sessionStorage.getItem(TOKEN_KEY) || ''}` } };
+  if (body) {
+    opts.method = 'POST';
+    opts.headers['Content-Type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+  const res = await fetch(path, opts);
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401) {
+    const hadToken = !!sessionStorage.getItem(TOKEN_KEY);
+    sessionStorage.removeItem(TOKEN_KEY);
+    showLogin(hadToken ? 'Wrong admin token' : '');
+  }
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+function showLogin(message) {
+  document.getElementById('admin-form').hidden = true;
+  document.getElementById('login').hidden = false;
+  setStatus(message || 'Sign in with the admin token');
+}
+
+// Live count preview, debounced per input
+const previewTimers = new WeakMap();
+function schedulePreview(input) {
+  clearTimeout(previewTimers.get(input));
+  previewTimers.set(input, setTimeout(() => preview(input), 600));
+}
+
+async function preview(input) {
+  const cell = document.getElementById(`count-${input.dataset.metric}`);
+  if (!input.value.trim()) { cell.textContent = '—'; return; }
+  cell.textContent = '…';
+  cell.title = '';
+  try {
+    const data = await adminFetch('/api/admin/preview', { filter: input.value });
+    cell.innerHTML = data.url ? `<a href="${escapeHtml(data.url)}" target="_blank" rel="noopener">${data.count}</a>` : String(data.count);
+  } catch (err) {
+    cell.textContent = 'Error';
+    cell.title = err.message;
+  }
+}
+
+function render(config) {
+  document.getElementById('metric-rows').innerHTML = config.metrics.map((m) => `
+    <tr>
+      <td><strong>${escapeHtml(m.label)}</strong><div class="muted">${escapeHtml(m.id)}</div></td>
+      <td>
+        <input class="admin-input" data-metric="${escapeHtml(m.id)}" value="${escapeHtml(m.filter)}" required>
+        ${m.filter !== m.default ? `<div class="muted">Config: <code>${escapeHtml(m.default || '(empty)')}</code> <button type="button" class="link-btn" data-reset="${escapeHtml(m.id)}">Reset</button></div>` : ''}
+      </td>
+      <td class="count-cell" id="count-${escapeHtml(m.id)}">…</td>
+    </tr>
+  `).join('');
+  document.getElementById('movers-rows').innerHTML = config.movers.length ? config.movers.map((b) => `
+    <tr>
+      <td><strong>${escapeHtml(b.label)}</strong><div class="muted">${escapeHtml(b.metric)}</div></td>
+      ${MOVERS_FIELDS.map((f) => `<td><input class="admin-input" data-movers="${escapeHtml(b.key)}" data-field="${f}" value="${escapeHtml(b[f])}" placeholder="any"></td>`).join('')}
+    </tr>
+  `).join('') : '<tr><td colspan="5" class="muted">No movers tables configured</td></tr>';
+
+  const defaults = new Map(config.metrics.map((m) => [m.id, m.default]));
+  document.querySelectorAll('input[data-metric]').forEach((input) => {
+    input.addEventListener('input', () => schedulePreview(input));
+    preview(input);
+  });
+  document.querySelectorAll('button[data-reset]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const input = document.querySelector(`input[data-metric="${CSS.escape(btn.dataset.reset)}"]`);
+      input.value = defaults.get(btn.dataset.reset) || '';
+      preview(input);
+    });
+  });
+  document.getElementById('login').hidden = true;
+  document.getElementById('admin-form').hidden = false;
+}
+
+async function load() {
+  try {
+    setStatus('Loading…');
+    render(await adminFetch('/api/admin/config'));
+    setStatus('Loaded');
+  } catch (err) {
+    if (!document.getElementById('login').hidden) return;
+    setStatus('Failed to load: ' + err.message, true);
+  }
+}
+
+document.getElementById('login').addEventListener('submit', (ev) => {
+  ev.preventDefault();
+  sessionStorage.setItem(TOKEN_KEY, document.getElementById('admin-token').value.trim());
+  load();
+});
+
+document.getElementById('signout-btn').addEventListener('click', () => {
+  sessionStorage.removeItem(TOKEN_KEY);
+  showLogin('Signed out');
+});
+
+document.getElementById('admin-form').addEventListener('submit', async (ev) => {
+  ev.preventDefault();
+  const body = { metrics: {}, movers: {} };
+  document.querySelectorAll('input[data-metric]').forEach((input) => { body.metrics[input.dataset.metric] = input.value; });
+  document.querySelectorAll('input[data-movers]').forEach((input) => {
+    const key = input.dataset.movers;
+    body.movers[key] = body.movers[key] || {};
+    body.movers[key][input.dataset.field] = input.value;
+  });
+  const btn = document.getElementById('save-btn');
+  btn.disabled = true;
+  try {
+    render(await adminFetch('/api/admin/config', body));
+    setStatus(`Saved at ${new Date().toLocaleTimeString()}; the board picks up the change now`);
+  } catch (err) {
+    setStatus('Save failed: ' + err.message, true);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+applyTheme();
+
+load();
@@ -0,0 +1,53 @@
+// Helpers shared by the board, the event archive and the admin page.
+// Loaded before each page's own script.
+
+function escapeHtml(v) {
+  return String(v).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function initials(name) {
+  const parts = String(name).trim().split(/\s+/).filter(Boolean);
+  const a = parts[0] ? parts[0][0] : '';
+  const b = parts.length > 1 ? parts[parts.length - 1][0] : '';
+  return (a + b).toUpperCase() || '?';
+}
+
+// Jira avatar when the API returned one, initials otherwise
+function renderAvatar(u) {
+  if (u.avatarUrl) return `<img class="avatar" src="${escapeHtml(u.avatarUrl)}" alt="" loading="lazy" referrerpolicy="no-referrer">`;
+  return `<span class="avatar">${escapeHtml(initials(u.user))}</span>`;
+}
+
+// Achievement icons from /api/movers (details in the tooltip)
+function renderBadges(badges) {
+  if (!Array.isArray(badges) || !badges.length) return '';
+  return `<span class="badges">${badges.map((b) => `<span class="badge" title="${escapeHtml(b.title)}" aria-label="${escapeHtml(b.title)}">${escapeHtml(b.icon)}</span>`).join('')}</span>`;
+}
+
+// Theme toggle (auto + manual), persisted in localStorage so every page shares it.
+// Runs once the page's markup (and its #theme-toggle button) is parsed.
+function applyTheme() {
+  const btn = document.getElementById('theme-toggle');
+  const root = document.documentElement;
+  const mq = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+  function apply(mode) {
+    root.classList.remove('dark', 'light');
+    root.classList.add(mode);
+    if (btn) btn.textContent = mode === 'dark' ? '☀️' : '🌙';
+  }
+
+  // Without a saved preference, mirror the system theme and follow its changes
+  apply(localStorage.getItem('theme') || (mq && mq.matches ? 'dark' : 'light'));
+  if (mq) {
+    const onChange = () => { if (!localStorage.getItem('theme')) apply(mq.matches ? 'dark' : 'light'); };
+    if (typeof mq.addEventListener === 'function') mq.addEventListener('change', onChange);
+    else if (typeof mq.addListener === 'function') mq.addListener(onChange);
+  }
+
+  if (btn) btn.addEventListener('click', () => {
+    const mode = root.classList.contains('dark') ? 'light' : 'dark';
+    localStorage.setItem('theme', mode);
+    apply(mode);
+  });
+}
@@ -0,0 +1,130 @@
+// Read-only event archive pages: /events lists past events, /events/<slug>
+// renders one frozen result set. Everything comes from /api/events, never Jira.
+
+function formatWindow(ev) {
+  const opts = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+  const fmt = (iso) => {
+    try { return new Intl.DateTimeFormat(undefined, { ...opts, timeZone: ev.timezone }).format(new Date(iso)); }
+    catch (_) { return new Date(iso).toLocaleString(); }
+  };
+  return ev.end ? `${fmt(ev.start)} – ${fmt(ev.end)}` : `from ${fmt(ev.start)}`;
+}
+
+function renderIndex(events) {
+  const section = document.getElementById('events-index');
+  const head = document.getElementById('events-head');
+  const body = document.getElementById('events-rows');
+  section.hidden = false;
+  if (!events.length) {
+    body.innerHTML = '<tr><td class="muted">No events archived yet</td></tr>';
+    return;
+  }
+  // One column per headline total, in first-seen order
+  const labels = [];
+  for (const ev of events) for (const t of ev.totals) if (!labels.includes(t.label)) labels.push(t.label);
+  head.innerHTML = `<tr><th>Event</th>${labels.map((l) => `<th>${escapeHtml(l)}</th>`).join('')}<th>Top Movers</th></tr>`;
+  body.innerHTML = events.map((ev) => {
+    const totals = new Map(ev.totals.map((t) => [t.label, t.value]));
+    const top = ev.top.filter((t) => t.user).map((t) => `${escapeHtml(t.label)}: ${escapeHtml(t.user)} (${t.count})`).join('<br>');
+    return `
+      <tr>
+        <td><a href="/events/${encodeURIComponent(ev.slug)}">${escapeHtml(ev.name)}</a><br><span class="muted">${escapeHtml(formatWindow(ev))}${ev.countsFinal ? '' : ' · counts not final'}</span></td>
+        ${labels.map((l) => `<td>${totals.has(l) ? `<span class="kpi current">${escapeHtml(totals.get(l))}</span>` : '—'}</td>`).join('')}
+        <td>${top || '—'}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function renderResults(archive) {
+  const { board, counts } = archive;
+  const columns = board.columns || [];
+  const rows = board.rows || [];
+  const has = (id) => id != null && counts[id] != null;
+  const chip = (id) => `<span class="kpi current">${escapeHtml(counts[id])}</span>`;
+
+  document.title = `${archive.name} – PRISM BugBash`;
+  document.getElementById('event-title').textContent = archive.name;
+  // No count snapshot was recorded during the event: these are later levels, not the result
+  const notFinal = archive.countsFinal === false
+    ? ` · <strong>Counts are not final</strong>: taken ${escapeHtml(new Date(archive.countsAt).toLocaleString())}, after the event ended`
+    : '';
+  document.getElementById('event-note').innerHTML = `${escapeHtml(formatWindow(archive))} · frozen ${escapeHtml(new Date(archive.frozenAt).toLocaleString())}${notFinal} · <a href="/events">All events</a>`;
+  document.getElementById('event-results').hidden = false;
+
+  document.getElementById('board-head').innerHTML = `<tr><th>Team</th>${columns.map((c) => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr>`;
+  document.getElementById('rows').innerHTML = rows.map((r) => `
+    <tr>
+      <td>${escapeHtml(r.label)}</td>
+      ${columns.map((c) => `<td>${has(r.cells?.[c.key]) ? chip(r.cells[c.key]) : '—'}</td>`).join('')}
+    </tr>
+  `).join('');
+
+  const sections = [];
+  for (const c of columns) {
+    if (!c.total) continue;
+    const ids = rows.map((r) => r.cells?.[c.key]).filter(has);
+    const total = ids.length ? ids.reduce((sum, id) => sum + (Number(counts[id]) || 0), 0) : null;
+    sections.push({ label: c.total.label, note: c.total.note, accent: c.total.accent, html: total != null ? String(total) : '—' });
+  }
+  for (const h of board.highlights || []) {
+    sections.push({ label: h.label, note: h.note, accent: h.accent, html: has(h.metric) ? chip(h.metric) : '—' });
+  }
+  document.getElementById('summaries').innerHTML = sections.map((sec) => `
+    <section class="filters summary${sec.accent ? ` accent-${escapeHtml(sec.accent)}` : ''}">
+      <h2>${escapeHtml(sec.label)}: <span>${sec.html}</span></h2>
+      ${sec.note ? `<p class="filters-note">${escapeHtml(sec.note)}</p>` : ''}
+    </section>
+  `).join('');
+
+  const scored = !!board.scoring;
+  const tables = Object.values(archive.movers || {});
+  document.getElementById('movers-grid').innerHTML = tables.length ? tables.map((m) => `
+    <div>
+      <h3 class="movers-head">${escapeHtml(m.label)}</h3>
+      <table class="movers-table">
+        <thead>
+          <tr>
+            <th style="width:56px;">Rank</th>
+            <th>User</th>
+            <th style="width:80px; text-align:right;">Count</th>
+            ${scored ? '<th style="width:80px; text-align:right;">Score</th>' : ''}
+          </tr>
+        </thead>
+        <tbody>
+          ${m.users.length ? m.users.map((u, i) => `
+            <tr>
+              <td class="rank-cell"><span class="rank-badge">${i + 1}</span>${i === 0 ? '<span class="trophy-mini" aria-label="Top performer">🏆</span>' : ''}</td>
+              <td class="user-cell">${renderAvatar(u)}<span class="user-name">${escapeHtml(u.user)}</span>${renderBadges(u.badges)}</td>
+              <td class="count-cell">${u.count}</td>
+              ${scored ? `<td class="count-cell">${u.score ?? u.count}</td>` : ''}
+            </tr>
+          `).join('') : `<tr><td colspan="${scored ? 4 : 3}" class="muted">No transitions found</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `).join('') : '<p class="muted">No movers configured</p>';
+}
+
+(async function main() {
+  const status = document.getElementById('status');
+  try {
+    let slug;
+    try {
+      slug = decodeURIComponent(window.location.pathname.replace(/^\/events\/?/, '').replace(/\/$/, ''));
+    } catch (_) {
+      throw new Error('Unknown event'); // malformed %-escape: same answer as the server's 404
+    }
+    const resp = await fetch(slug ? `/api/events/${encodeURIComponent(slug)}` : '/api/events', { cache: 'no-store' });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || `HTTP ${resp.status}`);
+    if (slug) renderResults(data);
+    else renderIndex(Array.isArray(data.events) ? data.events : []);
+    status.hidden = true;
+  } catch (e) {
+    console.error('events error', e);
+    status.textContent = `Failed to load: ${e.message}`;
+  }
+})();
+
+applyTheme();
@@ -1,5 +1,82 @@
 let FILTERS = null;
-let LAST_VALUES = { qa: 0, dev: 0, qaToday: 0, devToday: 0, preQa: 0, preDev: 0, deploymentReady: 0 };
+let BOARD = null;
+let LAST_VALUES = {};
+
+// Animated KPI helper
+function animateNumber(el, prev, next) {
+  if (prev === undefined || prev === null) prev = 0;
+  if (next === undefined || next === null) next = 0;
+  prev = Number(prev); next = Number(next);
+  if (!el) return;
+  const dur = 650; // ms
+  const start = performance.now();
+  function step(ts) {
+    const t = Math.min(1, (ts - start) / dur);
+    const eased = 1 - Math.pow(1 - t, 3); // easeOutCubic
+    const val = Math.round(prev + (next - prev) * eased);
+    el.textContent = String(val);
+    if (t < 1) requestAnimationFrame(step);
+  }
+  requestAnimationFrame(step);
+}
+
+// Table header/rows and the summary cards are generated from the board config
+// returned by /api/counts, so any number of teams/columns can be shown.
+// errors: metric id => why its filter failed (shown as misconfigured, never as 0)
+function renderBoard(board, counts, errors = {}) {
+  const head = document.getElementById('board-head');
+  const body = document.getElementById('rows');
+  const summaries = document.getElementById('summaries');
+  const columns = Array.isArray(board?.columns) ? board.columns : [];
+  const rows = Array.isArray(board?.rows) ? board.rows : [];
+  const highlights = Array.isArray(board?.highlights) ? board.highlights : [];
+  const has = (id) => id != null && counts[id] != null;
+
+  // Helpers to wrap KPIs with links if available
+  const wrap = (url, html) => url ? `<a class="kpi-link" target="_blank" rel="noopener" href="${escapeHtml(url)}">${html}</a>` : html;
+  const chip = (id) => wrap(FILTERS?.[id]?.url || null, `<span class="kpi current"><span data-metric="${escapeHtml(id)}"></span></span>`);
+  const broken = (title) => `<span class="kpi misconfigured" title="${escapeHtml(title)}">⚠ Misconfigured</span>`;
+  const cell = (id) => (errors[id] ? broken(errors[id]) : has(id) ? chip(id) : '—');
+
+  if (head) {
+    head.innerHTML = `<tr><th>Team</th>${columns.map((c) => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr>`;
+  }
+  if (body) {
+    body.innerHTML = rows.map((r) => `
+      <tr id="row-${escapeHtml(r.key)}">
+        <td>${escapeHtml(r.label)}</td>
+        ${columns.map((c) => `<td>${cell(r.cells?.[c.key])}</td>`).join('')}
+      </tr>
+    `).join('');
+  }
+
+  if (summaries) {
+    const sections = [];
+    for (const c of columns) {
+      if (!c.total) continue;
+      const ids = rows.map((r) => r.cells?.[c.key]).filter(has);
+      const total = ids.length ? ids.reduce((sum, id) => sum + (Number(counts[id]) || 0), 0) : null;
+      // a total missing a misconfigured slot would undercount
+      const failed = rows.map((r) => r.cells?.[c.key]).filter((id) => id != null && errors[id]);
+      const html = failed.length ? broken(failed.map((id) => `${board.metrics?.[id]?.label || id}: ${errors[id]}`).join('\n')) : total != null ? String(total) : '—';
+      sections.push({ key: `total-${c.key}`, label: c.total.label, note: c.total.note, accent: c.total.accent, html });
+    }
+    for (const h of highlights) {
+      sections.push({ key: `highlight-${h.metric}`, label: h.label, note: h.note, accent: h.accent, html: cell(h.metric) });
+    }
+    summaries.innerHTML = sections.map((sec) => `
+      <section class="filters summary${sec.accent ? ` accent-${escapeHtml(sec.accent)}` : ''}" aria-labelledby="${escapeHtml(sec.key)}-title">
+        <h2 id="${escapeHtml(sec.key)}-title">${escapeHtml(sec.label)}: <span>${sec.html}</span></h2>
+        ${sec.note ? `<p class="filters-note">${escapeHtml(sec.note)}</p>` : ''}
+      </section>
+    `).join('');
+  }
+
+  document.querySelectorAll('[data-metric]').forEach((el) => {
+    const id = el.getAttribute('data-metric');
+    animateNumber(el, LAST_VALUES[id], counts[id]);
+  });
+}
 
 async function fetchCounts() {
   const status = document.getElementById('status');
@@ -9,109 +86,24 @@ async function fetchCounts() {
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const data = await res.json();
 
-    const qaCurrent = Number(data.qa ?? 0);
-    const devCurrent = Number(data.dev ?? 0);
-    let qaToday = data.qaToday != null ? Number(data.qaToday) : null;
-    let devToday = data.devToday != null ? Number(data.devToday) : null;
-    const preQa = data.preQa != null ? Number(data.preQa) : null;
-    const preDev = data.preDev != null ? Number(data.preDev) : null;
-    const deploymentReady = data.deploymentReady != null ? Number(data.deploymentReady) : null;
-
-    // Helpers to wrap KPIs with links if available
-    const kpi = (v) => `<span class="kpi current">${v}</span>`;
-    const wrap = (url, html) => url ? `<a class="kpi-link" target="_blank" rel="noopener" href="${url}">${html}</a>` : html;
-
-    // Determine URLs for each cell
-    const qaBacklogUrl = FILTERS?.qa?.url || null;
-    const devBacklogUrl = FILTERS?.dev?.url || null;
-    const qaTodayUrl = FILTERS?.qaToday?.url || null;
-    const devTodayUrl = FILTERS?.devToday?.url || null;
-    const deploymentReadyUrl = FILTERS?.deploymentReady?.url || null;
-    const preQaUrl = FILTERS?.preQa?.url || null;
-    const preDevUrl = FILTERS?.preDev?.url || null;
-
-    // Animated KPI helper
-    function animateNumber(el, prev, next) {
-      if (prev === undefined || prev === null) prev = 0;
-      if (next === undefined || next === null) next = 0;
-      prev = Number(prev); next = Number(next);
-      if (!el) return;
-      const dur = 650; // ms
-      const start = performance.now();
-      function step(ts) {
-        const t = Math.min(1, (ts - start) / dur);
-        const eased = 1 - Math.pow(1 - t, 3); // easeOutCubic
-        const val = Math.round(prev + (next - prev) * eased);
-        el.textContent = String(val);
-        if (t < 1) requestAnimationFrame(step);
-      }
-      requestAnimationFrame(step);
-    }
-
-    // Render KPIs with links (use animated spans inside)
-    const qaPre = document.getElementById('qa-pre');
-    const qaC = document.getElementById('qa-current');
-    const devC = document.getElementById('dev-current');
-    const devPre = document.getElementById('dev-pre');
-    const qaT = document.getElementById('qa-today');
-    const devT = document.getElementById('dev-today');
-    const depR = document.getElementById('deployment-ready');
-
-    if (qaPre) qaPre.innerHTML = preQa != null ? wrap(preQaUrl, `<span class="kpi current"><span id="anim-qaPre"></span></span>`) : '—';
-    qaC.innerHTML = wrap(qaBacklogUrl, `<span class="kpi current"><span id="anim-qa"></span></span>`);
-    devC.innerHTML = wrap(devBacklogUrl, `<span class="kpi current"><span id="anim-dev"></span></span>`);
-    if (devPre) devPre.innerHTML = preDev != null ? wrap(preDevUrl, `<span class="kpi current"><span id="anim-devPre"></span></span>`) : '—';
-    // Strict mode: use Today filters (qaToday/devToday) exactly as returned by backend.
-    const qaTodayChip = `<span class=\"kpi current\"><span id=\"anim-qaToday\"></span></span>`;
-    const devTodayChip = `<span class=\"kpi current\"><span id=\"anim-devToday\"></span></span>`;
-    qaT.innerHTML = qaToday != null ? (qaTodayUrl ? wrap(qaTodayUrl, qaTodayChip) : qaTodayChip) : '—';
-    devT.innerHTML = devToday != null ? (devTodayUrl ? wrap(devTodayUrl, devTodayChip) : devTodayChip) : '—';
-    if (depR) depR.innerHTML = deploymentReady != null ? wrap(deploymentReadyUrl, `<span class="kpi current"><span id="anim-deploy"></span></span>`) : '—';
-
-    if (preQa != null) animateNumber(document.getElementById('anim-qaPre'), LAST_VALUES.preQa, preQa);
-    animateNumber(document.getElementById('anim-qa'), LAST_VALUES.qa, qaCurrent);
-    animateNumber(document.getElementById('anim-dev'), LAST_VALUES.dev, devCurrent);
-    if (preDev != null) animateNumber(document.getElementById('anim-devPre'), LAST_VALUES.preDev, preDev);
-    if (qaToday != null) animateNumber(document.getElementById('anim-qaToday'), LAST_VALUES.qaToday, qaToday);
-    if (devToday != null) animateNumber(document.getElementById('anim-devToday'), LAST_VALUES.devToday, devToday);
-    if (deploymentReady != null) animateNumber(document.getElementById('anim-deploy'), LAST_VALUES.deploymentReady, deploymentReady);
-
-    LAST_VALUES = { qa: qaCurrent, dev: devCurrent, qaToday, devToday, preQa, preDev, deploymentReady };
-
-    // Deployment ready count at bottom
-    const depEl = document.getElementById('deploy-count');
-    const depLinkUrl = FILTERS?.deploymentReady?.url || null;
-    if (depEl) {
-      // Number is a clickable KPI (same style as others)
-      depEl.innerHTML = deploymentReady != null ? wrap(depLinkUrl, kpi(deploymentReady)) : '—';
-    }
-
-    // Inline summary (if present) and total aggregation
-    const qaTodayInline = document.getElementById('qa-today-inline');
-    const devTodayInline = document.getElementById('dev-today-inline');
-    if (qaTodayInline) qaTodayInline.textContent = qaToday != null ? String(qaToday) : '—';
-    if (devTodayInline) devTodayInline.textContent = devToday != null ? String(devToday) : '—';
-    const totalTodayEl = document.getElementById('total-today');
-    if (totalTodayEl) {
-      if (qaToday != null || devToday != null) {
-        const total = (qaToday || 0) + (devToday || 0);
-        totalTodayEl.textContent = String(total);
-      } else {
-        totalTodayEl.textContent = '—';
-      }
-    }
-
-    // Total pending = sum of QA and Dev pending closures (current backlog counts)
-    const totalPendingEl = document.getElementById('total-pending');
-    if (totalPendingEl) {
-      const totalPending = (Number.isFinite(qaCurrent) ? qaCurrent : 0) + (Number.isFinite(devCurrent) ? devCurrent : 0);
-      totalPendingEl.textContent = String(totalPending);
+    const counts = {};
+    for (const [id, v] of Object.entries(data.counts || {})) {
+      if (v != null) counts[id] = Number(v);
     }
+    BOARD = data.board || null;
+    renderBoard(data.board, counts, data.errors || {});
+    LAST_VALUES = counts;
+    updateHealth(data.errors, data.error && !data.stale);
 
     // Neutral status board: no leader/trophy or row highlighting
 
     const ts = new Date().toLocaleTimeString();
-    status.textContent = `Updated at ${ts}`;
+    if (data.stale) {
+      status.textContent = `Jira unavailable – showing values from ${new Date(data.asOf).toLocaleTimeString()} (stale)`;
+    } else {
+      status.textContent = data.error ? `Failed to load counts: ${data.error}` : `Updated at ${ts}`;
+    }
+    status.classList.toggle('stale', !!data.stale);
     return data;
   } catch (err) {
     status.textContent = 'Failed to load counts: ' + (err && err.message || err);
@@ -120,9 +112,34 @@ async function fetchCounts() {
   }
 }
 
-(async function main() {
-  let refreshMs = 60000; // default 60s
-  // Load filter URLs once for link wrapping
+// Banner from /api/health while any slot is misconfigured (or Jira refuses every call);
+// re-checked only when the set of failing slots changes
+let HEALTH_KEY = '';
+async function updateHealth(errors, failed) {
+  const banner = document.getElementById('health');
+  if (!banner) return;
+  const key = `${Object.keys(errors || {}).sort().join(',')}|${failed ? 'failed' : ''}`;
+  if (key === HEALTH_KEY) return;
+  HEALTH_KEY = key;
+  if (key === '|') { banner.hidden = true; return; }
+  try {
+    const res = await fetch('/api/health', { cache: 'no-store' });
+    const health = await res.json();
+    if (health.ok) { banner.hidden = true; return; }
+    const problems = [];
+    if (health.jira && !health.jira.ok) problems.push(`Jira: ${health.jira.error}`);
+    for (const slot of health.slots || []) {
+      if (!slot.ok && !(health.jira && !health.jira.ok)) problems.push(`${slot.label}: ${slot.error}`);
+    }
+    banner.innerHTML = `<strong>Board misconfigured</strong> – these numbers are missing, not zero.<ul>${problems.map((p) => `<li>${escapeHtml(p)}</li>`).join('')}</ul>`;
+    banner.hidden = false;
+  } catch (_) {
+    HEALTH_KEY = ''; // try again on the next update
+  }
+}
+
+// Filter links (and the filter each movers table queries), reloaded when an admin edits them
+async function loadFilters() {
   try {
     const res = await fetch('/api/filters', { cache: 'no-store' });
     if (res.ok) {
@@ -141,15 +158,24 @@ async function fetchCounts() {
       }
     }
   } catch (_) { /* ignore */ }
+}
+
+(async function main() {
+  let refreshMs = 60000; // default 60s
+  // Load filter URLs once for link wrapping
+  await loadFilters();
   try {
     const data = await fetchCounts();
     refreshMs = Math.max(5, Number(data.refreshSeconds || 60)) * 1000;
   } catch (_) {
     // keep default refresh if first load failed
   }
-  // Initial movers render (non-blocking)
+  // Initial movers and trend charts render (non-blocking)
   renderMovers().catch(() => {});
-  // Auto-refresh disabled as requested
+  renderCharts().catch(() => {});
+  // Periodic refresh comes from the server push instead of per-tab polling
+  setupLiveUpdates();
+  if (getQueryParam('kiosk') === '1') setupKiosk(refreshMs);
 })();
 
 // Manual Refresh for counts and movers
@@ -163,6 +189,7 @@ async function fetchCounts() {
     try {
       await fetchCounts();
       await renderMovers();
+      await renderCharts();
     } catch (_) {
       // ignore errors here; status area shows failures
     } finally {
@@ -172,54 +199,72 @@ async function fetchCounts() {
   });
 })();
 
-// Countdown to the next 15th 6:00 PM IST
-(function setupCountdown() {
+// Countdown to the event window from /api/event: counts down to the start,
+// then to the end while live, then shows the event as ended.
+(async function setupCountdown() {
+  const section = document.getElementById('countdown');
+  const titleEl = document.getElementById('countdown-title');
+  const rowEl = section && section.querySelector('.countdown-row');
+  const noteEl = document.getElementById('cd-note');
   const dEl = document.getElementById('cd-days');
   const hEl = document.getElementById('cd-hours');
   const mEl = document.getElementById('cd-mins');
   const sEl = document.getElementById('cd-secs');
-  const tgtLocalEl = document.getElementById('cd-target-local');
-  if (!dEl || !hEl || !mEl || !sEl) return; // section missing
-
-  // Returns the UTC ms timestamp for next 15th 18:00 IST
-  function nextTargetUTC() {
-    const nowUTC = Date.now();
-    const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000; // +05:30, India has no DST
-    const nowIST = new Date(nowUTC + IST_OFFSET_MS);
-    let year = nowIST.getUTCFullYear();
-    let month = nowIST.getUTCMonth(); // 0-11
-    // 18:00 IST equals 12:30 UTC
-    let targetUTC = Date.UTC(year, month, 15, 12, 30, 0, 0);
-    if (nowUTC >= targetUTC) {
-      // move to next month
-      if (month === 11) { month = 0; year += 1; }
-      else { month += 1; }
-      targetUTC = Date.UTC(year, month, 15, 12, 30, 0, 0);
-    }
-    // Update helper text with local rendering of the target
-    if (tgtLocalEl) {
-      const dt = new Date(targetUTC);
-      try {
-        tgtLocalEl.textContent = new Intl.DateTimeFormat(undefined, {
-          dateStyle: 'medium', timeStyle: 'short'
-        }).format(dt);
-      } catch (_) {
-        tgtLocalEl.textContent = dt.toLocaleString();
-      }
+  if (!section || !dEl || !hEl || !mEl || !sEl) return; // section missing
+
+  let ev;
+  try {
+    const resp = await fetch('/api/event', { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    ev = await resp.json();
+  } catch (e) {
+    console.error('event error', e);
+    ev = null;
+  }
+  if (!ev || !ev.configured) { section.hidden = true; return; }
+
+  const start = Date.parse(ev.start);
+  const end = ev.end ? Date.parse(ev.end) : null;
+  // Server clock wins, so every screen flips state at the same moment
+  const skew = ev.now ? Date.parse(ev.now) - Date.now() : 0;
+
+  function formatTime(t) {
+    const opts = { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+    try {
+      const zoned = new Intl.DateTimeFormat(undefined, { ...opts, timeZone: ev.timezone }).format(t);
+      const local = new Intl.DateTimeFormat(undefined, opts).format(t);
+      return zoned === local ? zoned : `${zoned} (${local} local)`;
+    } catch (_) {
+      return new Date(t).toLocaleString();
     }
-    return targetUTC;
   }
 
-  let targetUTC = nextTargetUTC();
+  let state = null;
   function tick() {
-    const now = Date.now();
-    let diff = targetUTC - now;
-    if (diff <= 0) {
-      // Recompute next cycle once we hit the target
-      targetUTC = nextTargetUTC();
-      diff = targetUTC - now;
+    const now = Date.now() + skew;
+    const next = now < start ? 'pre' : (end != null && now >= end ? 'ended' : 'live');
+    if (next !== state) {
+      state = next;
+      section.dataset.state = state;
+      if (state === 'pre') {
+        titleEl.textContent = `${ev.name} starts in`;
+        noteEl.textContent = `Starts ${formatTime(start)}`;
+      } else if (state === 'live') {
+        titleEl.textContent = end != null ? `${ev.name} is live – ends in` : `${ev.name} is live`;
+        noteEl.textContent = `Started ${formatTime(start)}`;
+      } else {
+        titleEl.textContent = `${ev.name} has ended`;
+        noteEl.textContent = `Ran ${formatTime(start)} – ${formatTime(end)} · `;
+        const link = document.createElement('a');
+        link.href = `/events/${encodeURIComponent(ev.slug)}`;
+        link.textContent = 'Final results';
+        noteEl.appendChild(link);
+      }
+      if (rowEl) rowEl.hidden = state === 'ended' || (state === 'live' && end == null);
     }
-    const sec = Math.floor(diff / 1000);
+    const target = state === 'pre' ? start : end;
+    if (target == null) return;
+    const sec = Math.max(0, Math.floor((target - now) / 1000));
     const days = Math.floor(sec / 86400);
     const hours = Math.floor((sec % 86400) / 3600);
     const mins = Math.floor((sec % 3600) / 60);
@@ -239,117 +284,529 @@ function getQueryParam(name) {
   return u.searchParams.get(name);
 }
 
+// Rank movers by raw transition count or weighted score (when the board has scoring rules)
+let MOVERS_RANK = localStorage.getItem('moversRank') === 'score' ? 'score' : 'count';
+
+function moversRank() {
+  return BOARD?.scoring ? MOVERS_RANK : 'count';
+}
+
+function moversColspan() {
+  return BOARD?.scoring ? 4 : 3;
+}
+
+function sortMovers(users) {
+  if (moversRank() !== 'score') return users;
+  return users.slice().sort((a, b) => (b.score ?? b.count) - (a.score ?? a.count) || b.count - a.count || a.user.localeCompare(b.user));
+}
+
+function renderMoversRows(tbody, users) {
+  if (!users.length) { tbody.innerHTML = `<tr><td colspan="${moversColspan()}" class="muted">No transitions found</td></tr>`; return; }
+  // Show full list (no slicing)
+  tbody.innerHTML = sortMovers(users).map((u, i) => `
+    <tr>
+      <td class="rank-cell"><span class="rank-badge">${i + 1}</span>${i === 0 ? '<span class="trophy-mini" aria-label="Top performer">🏆</span>' : ''}</td>
+      <td class="user-cell">${renderAvatar(u)}<button class="user-name mover-link" data-account="${escapeHtml(u.accountId)}" data-user="${escapeHtml(u.user)}" title="Show counted issues">${escapeHtml(u.user)}</button>${renderBadges(u.badges)}</td>
+      <td class="count-cell">${u.count}</td>
+      ${BOARD?.scoring ? `<td class="count-cell">${u.score ?? u.count}</td>` : ''}
+    </tr>
+  `).join('');
+}
+
+function setupRankToggle() {
+  const btn = document.getElementById('rank-toggle');
+  if (!btn) return;
+  btn.hidden = !BOARD?.scoring;
+  btn.textContent = `Rank by: ${MOVERS_RANK === 'score' ? 'Score' : 'Count'}`;
+  if (btn.dataset.bound) return;
+  btn.dataset.bound = '1';
+  btn.addEventListener('click', () => {
+    MOVERS_RANK = MOVERS_RANK === 'score' ? 'count' : 'score';
+    localStorage.setItem('moversRank', MOVERS_RANK);
+    setupRankToggle();
+    renderMovers().catch(() => {});
+  });
+}
+
+// One table per movers board from the config; tbody ids are movers-<key>-body
+function ensureMoversTables(boards) {
+  const grid = document.getElementById('movers-grid');
+  if (!grid) return;
+  const wanted = boards.map((b) => b.key).join('|') + (BOARD?.scoring ? '|scored' : '') + (BOARD?.teams ? '|teams' : '');
+  if (grid.dataset.boards === wanted) return;
+  grid.dataset.boards = wanted;
+  grid.innerHTML = boards.map((b) => `
+    <div>
+      <div class="movers-head-row">
+        <h3 class="movers-head">${escapeHtml(b.label)}</h3>
+        <span class="export-links">
+          <a data-export="${escapeHtml(b.key)}" data-format="csv" download>CSV</a>
+          <a data-export="${escapeHtml(b.key)}" data-format="json" download>JSON</a>
+        </span>
+      </div>
+      <table class="movers-table">
+        <thead>
+          <tr>
+            <th style="width:56px;">Rank</th>
+            <th>User</th>
+            <th style="width:80px; text-align:right;">Count</th>
+            ${BOARD?.scoring ? '<th style="width:80px; text-align:right;">Score</th>' : ''}
+          </tr>
+        </thead>
+        <tbody id="movers-${escapeHtml(b.key)}-body" data-board="${escapeHtml(b.key)}">
+          <tr><td colspan="${moversColspan()}" class="muted">Loading…</td></tr>
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+  // Drill-down: clicking a user lists the transitions counted for them
+  grid.querySelectorAll('tbody[data-board]').forEach((tbody) => {
+    tbody.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('button.mover-link');
+      if (!btn) return;
+      const board = boards.find((b) => b.key === tbody.dataset.board);
+      if (board) showMoverDetail(board, btn.dataset.account, btn.dataset.user).catch(() => {});
+    });
+  });
+  if (BOARD?.teams) {
+    grid.insertAdjacentHTML('beforeend', `
+      <div>
+        <div class="movers-head-row">
+          <h3 class="movers-head">${escapeHtml(BOARD.teams.label)}</h3>
+        </div>
+        <table class="movers-table teams-table">
+          <thead>
+            <tr>
+              <th style="width:56px;">Rank</th>
+              <th>Team</th>
+              <th style="width:80px; text-align:right;">Count</th>
+              ${BOARD?.scoring ? '<th style="width:80px; text-align:right;">Score</th>' : ''}
+            </tr>
+          </thead>
+          <tbody id="movers-teams-body">
+            <tr><td colspan="${moversColspan()}" class="muted">Loading…</td></tr>
+          </tbody>
+        </table>
+      </div>
+    `);
+    // Drill-down: clicking a team shows or hides its members
+    document.getElementById('movers-teams-body').addEventListener('click', (ev) => {
+      const btn = ev.target.closest('button[data-team]');
+      if (!btn) return;
+      const team = btn.dataset.team;
+      if (TEAMS_OPEN.has(team)) TEAMS_OPEN.delete(team);
+      else TEAMS_OPEN.add(team);
+      const open = TEAMS_OPEN.has(team);
+      btn.setAttribute('aria-expanded', String(open));
+      btn.closest('tbody').querySelectorAll('tr.team-member').forEach((tr) => {
+        if (tr.dataset.team === team) tr.hidden = !open;
+      });
+    });
+  }
+}
+
+// Download links follow the current window and ranking
+function updateExportLinks(since) {
+  document.querySelectorAll('a[data-export]').forEach((a) => {
+    const params = new URLSearchParams({ format: a.dataset.format, what: a.dataset.export === 'counts' ? 'counts' : 'movers' });
+    if (a.dataset.export !== 'counts') {
+      params.set('key', a.dataset.export);
+      params.set('rank', moversRank());
+      if (since) params.set('since', since);
+    }
+    a.href = `/api/export?${params.toString()}`;
+  });
+}
+
 async function renderMovers() {
-  const qaTbody = document.getElementById('movers-qa-body');
-  const devTbody = document.getElementById('movers-dev-body');
-  if (!qaTbody || !devTbody) return; // section not present
+  const grid = document.getElementById('movers-grid');
+  if (!grid) return; // section not present
+  const boards = Array.isArray(BOARD?.movers) ? BOARD.movers : [];
+  if (!boards.length) {
+    grid.dataset.boards = '';
+    grid.innerHTML = '<p class="muted">No movers configured</p>';
+    return;
+  }
+  ensureMoversTables(boards);
+  setupRankToggle();
 
   const since = getQueryParam('since'); // ISO string optional
+  updateExportLinks(since);
   const limit = 100; // request up to 100 users
 
-  // Build endpoints
-  // QA: from Resolved
-  const qaFilter = FILTERS?.qaToday?.url || FILTERS?.qaToday?.text || '';
-  // Dev: to Resolved
-  const devFilter = FILTERS?.devToday?.url || FILTERS?.devToday?.text || '';
-
+  // Rows stay up until the new ones arrive; new tables start with a Loading… row
   async function loadList(tbody, qs) {
     try {
-      tbody.innerHTML = '<tr><td colspan="3" class="muted">Loading…</td></tr>';
       const qp = new URLSearchParams(qs);
       const resp = await fetch(`/api/movers?${qp.toString()}`, { cache: 'no-store' });
       if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
       const data = await resp.json();
-      const users = Array.isArray(data.users) ? data.users : [];
-      if (!users.length) { tbody.innerHTML = '<tr><td colspan="3" class="muted">No transitions found</td></tr>'; return; }
-      // Show full list (no slicing)
-      const top = users;
-      function initials(name) {
-        try {
-          const parts = String(name).trim().split(/\s+/).filter(Boolean);
-          const a = parts[0] ? parts[0][0] : '';
-          const b = parts.length > 1 ? parts[parts.length - 1][0] : '';
-          return (a + b).toUpperCase() || (String(name)[0] || '?').toUpperCase();
-        } catch { return '?'; }
-      }
-      tbody.innerHTML = top.map((u, i) => `
-        <tr>
-          <td class="rank-cell"><span class="rank-badge">${i + 1}</span>${i === 0 ? '<span class="trophy-mini" aria-label="Top performer">🏆</span>' : ''}</td>
-          <td class="user-cell"><span class="avatar">${initials(u.user)}</span><span class="user-name">${u.user}</span></td>
-          <td class="count-cell">${u.count}</td>
-        </tr>
-      `).join('');
+      renderMoversRows(tbody, Array.isArray(data.users) ? data.users : []);
     } catch (e) {
       console.error('movers error', e);
-      tbody.innerHTML = '<tr><td colspan="3" class="muted">Failed to load</td></tr>';
+      tbody.innerHTML = `<tr><td colspan="${moversColspan()}" class="muted">Failed to load</td></tr>`;
     }
   }
 
-  if (!qaFilter) {
-    qaTbody.innerHTML = '<tr><td colspan="3" class="muted">QA Today filter not configured</td></tr>';
-  }
-  if (!devFilter) {
-    devTbody.innerHTML = '<tr><td colspan="3" class="muted">Dev Today filter not configured</td></tr>';
+  const tasks = boards.map((b) => {
+    const tbody = document.getElementById(`movers-${b.key}-body`);
+    if (!tbody) return null;
+    const params = moversParams(b, since);
+    if (!params) {
+      tbody.innerHTML = `<tr><td colspan="${moversColspan()}" class="muted">${escapeHtml(BOARD.metrics?.[b.metric]?.label || b.metric)} filter not configured</td></tr>`;
+      return null;
+    }
+    return loadList(tbody, { ...params, limit: String(limit) });
+  });
+  tasks.push(renderTeams());
+  await Promise.all(tasks);
+}
+
+// /api/movers query for a movers board (null when its filter is missing); the
+// server resolves the named metric to its filter, so no JQL leaves the browser
+function moversParams(b, since) {
+  if (!FILTERS?.[b.metric]?.configured) return null;
+  const params = { metric: b.metric, rank: moversRank() };
+  for (const f of ['from', 'to', 'notFrom', 'notTo']) if (b[f]) params[f] = b[f];
+  if (since) params.since = since;
+  return params;
+}
+
+// Panel listing every transition a movers table counted for one user; asks with
+// the table's own params, so the server answers from the same cached computation
+async function showMoverDetail(board, accountId, name) {
+  const panel = document.getElementById('mover-detail');
+  if (!panel) return;
+  const params = moversParams(board, getQueryParam('since'));
+  if (!params) return;
+  panel.hidden = false;
+  panel.innerHTML = `<p class="muted">Loading ${escapeHtml(name)}…</p>`;
+  try {
+    const qp = new URLSearchParams({ ...params, limit: '100', user: accountId });
+    const resp = await fetch(`/api/movers/detail?${qp.toString()}`, { cache: 'no-store' });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data.error || `HTTP ${resp.status}`);
+    const when = (iso) => new Date(iso).toLocaleString();
+    const transition = (t) => `${escapeHtml(t.from || '—')} → ${escapeHtml(t.to || '—')}`;
+    panel.innerHTML = `
+      <div class="movers-head-row">
+        <h3 class="movers-head">${escapeHtml(name)} · ${escapeHtml(board.label)}: ${data.count} counted${BOARD?.scoring ? ` (score ${data.score})` : ''}</h3>
+        <button type="button" class="link-btn" data-close>Close</button>
+      </div>
+      ${data.stale ? `<p class="filters-note stale">Jira unavailable – showing data from ${escapeHtml(when(data.asOf))}</p>` : ''}
+      ${data.truncated ? '<p class="filters-note">The filter matched more issues than were scanned; some transitions may be missing.</p>' : ''}
+      <table class="movers-table detail-table">
+        <thead>
+          <tr>
+            <th style="width:110px;">Issue</th>
+            <th>Summary</th>
+            <th>Transition</th>
+            <th style="width:170px;">When</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${data.transitions.map((t) => `
+            <tr>
+              <td>${t.url ? `<a href="${escapeHtml(t.url)}" target="_blank" rel="noopener">${escapeHtml(t.key)}</a>` : escapeHtml(t.key)}</td>
+              <td>${escapeHtml(t.summary)}</td>
+              <td>${transition(t)}</td>
+              <td>${escapeHtml(when(t.at))}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (err) {
+    panel.innerHTML = `<p class="muted">Failed to load ${escapeHtml(name)}'s issues: ${escapeHtml(err.message)}</p><button type="button" class="link-btn" data-close>Close</button>`;
   }
+  panel.querySelector('[data-close]').addEventListener('click', () => { panel.hidden = true; });
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Team roll-up: aggregate=team for each movers table the teams config sums,
+// merged by team (and by member inside each team)
+const TEAMS_OPEN = new Set();
 
-  const tasks = [];
-  if (qaFilter) {
-    const qaParams = { filter: qaFilter, from: 'Resolved', notTo: 'Done', limit: String(limit) };
-    if (since) qaParams.since = since;
-    tasks.push(loadList(qaTbody, qaParams));
+async function renderTeams() {
+  const tbody = document.getElementById('movers-teams-body');
+  if (!tbody || !BOARD?.teams) return;
+  const since = getQueryParam('since');
+  const boards = (BOARD.movers || []).filter((b) => BOARD.teams.movers.includes(b.key));
+  try {
+    const lists = await Promise.all(boards.map(async (b) => {
+      const params = moversParams(b, since);
+      if (!params) return [];
+      const qp = new URLSearchParams({ ...params, limit: '100', aggregate: 'team' });
+      const resp = await fetch(`/api/movers?${qp.toString()}`, { cache: 'no-store' });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const data = await resp.json();
+      return Array.isArray(data.teams) ? data.teams : [];
+    }));
+    const merged = new Map();
+    for (const t of lists.flat()) {
+      const entry = merged.get(t.team) || { team: t.team, count: 0, score: 0, members: new Map() };
+      entry.count += t.count;
+      entry.score = Math.round((entry.score + (t.score ?? t.count)) * 100) / 100;
+      for (const m of t.members || []) {
+        const member = entry.members.get(m.accountId) || { accountId: m.accountId, user: m.user, avatarUrl: m.avatarUrl, count: 0, score: 0 };
+        member.count += m.count;
+        member.score = Math.round((member.score + (m.score ?? m.count)) * 100) / 100;
+        entry.members.set(m.accountId, member);
+      }
+      merged.set(t.team, entry);
+    }
+    const teams = Array.from(merged.values()).map((t) => ({ ...t, user: t.team, members: sortMovers(Array.from(t.members.values()).sort((a, b) => b.count - a.count || a.user.localeCompare(b.user))) }));
+    renderTeamRows(tbody, sortMovers(teams.sort((a, b) => b.count - a.count || a.team.localeCompare(b.team))));
+  } catch (e) {
+    console.error('teams error', e);
+    tbody.innerHTML = `<tr><td colspan="${moversColspan()}" class="muted">Failed to load</td></tr>`;
   }
-  if (devFilter) {
-    const devParams = { filter: devFilter, to: 'Resolved', limit: String(limit) };
-    if (since) devParams.since = since;
-    tasks.push(loadList(devTbody, devParams));
+}
+
+function renderTeamRows(tbody, teams) {
+  if (!teams.length) { tbody.innerHTML = `<tr><td colspan="${moversColspan()}" class="muted">No transitions found</td></tr>`; return; }
+  const score = (v) => (BOARD?.scoring ? `<td class="count-cell">${v.score}</td>` : '');
+  tbody.innerHTML = teams.map((t, i) => {
+    const open = TEAMS_OPEN.has(t.team);
+    return `
+      <tr class="team-row">
+        <td class="rank-cell"><span class="rank-badge">${i + 1}</span>${i === 0 ? '<span class="trophy-mini" aria-label="Top team">🏆</span>' : ''}</td>
+        <td class="user-cell"><button class="team-toggle" data-team="${escapeHtml(t.team)}" aria-expanded="${open}">${escapeHtml(t.team)} <span class="muted">(${t.members.length})</span></button></td>
+        <td class="count-cell">${t.count}</td>
+        ${score(t)}
+      </tr>
+      ${t.members.map((m) => `
+        <tr class="team-member" data-team="${escapeHtml(t.team)}"${open ? '' : ' hidden'}>
+          <td></td>
+          <td class="user-cell">${renderAvatar(m)}<span class="user-name">${escapeHtml(m.user)}</span></td>
+          <td class="count-cell">${m.count}</td>
+          ${score(m)}
+        </tr>
+      `).join('')}
+    `;
+  }).join('');
+}
+
+// Live updates pushed by the server (/api/stream). The server polls Jira once
+// for everyone; without SSE support the manual Refresh button still works.
+function setupLiveUpdates() {
+  if (typeof EventSource !== 'function') return;
+  const source = new EventSource('/api/stream');
+  let teamsTimer = null;
+  source.addEventListener('counts', (ev) => {
+    const data = JSON.parse(ev.data);
+    if (!BOARD) return;
+    const counts = {};
+    for (const [id, v] of Object.entries(data.counts || {})) {
+      if (v != null) counts[id] = Number(v);
+    }
+    renderBoard(BOARD, counts, data.errors || {});
+    LAST_VALUES = counts;
+    updateHealth(data.errors, false);
+    const status = document.getElementById('status');
+    if (status) {
+      status.textContent = `Updated at ${new Date(data.at || Date.now()).toLocaleTimeString()} (live)`;
+      status.classList.remove('stale');
+    }
+  });
+  source.addEventListener('counts-error', (ev) => {
+    // Numbers on screen are kept; only the status line reports the outage
+    const data = JSON.parse(ev.data);
+    const status = document.getElementById('status');
+    if (!status) return;
+    status.textContent = data.stale
+      ? `Jira unavailable – showing values from ${new Date(data.asOf).toLocaleTimeString()} (stale)`
+      : 'Failed to load counts: ' + data.error;
+    status.classList.toggle('stale', !!data.stale);
+  });
+  source.addEventListener('movers', (ev) => {
+    // The server computes the default window; a custom ?since= view stays manual
+    if (getQueryParam('since')) return;
+    const data = JSON.parse(ev.data);
+    const tbody = document.getElementById(`movers-${data.key}-body`);
+    if (tbody) renderMoversRows(tbody, Array.isArray(data.users) ? data.users : []);
+    // the team table sums these tables; refresh it once per burst of updates
+    if (BOARD?.teams?.movers.includes(data.key)) {
+      clearTimeout(teamsTimer);
+      teamsTimer = setTimeout(() => renderTeams().catch(() => {}), 2000);
+    }
+  });
+  // Filters were edited on /admin: reload the links, counts and movers tables
+  source.addEventListener('config', async () => {
+    try {
+      await loadFilters();
+      await fetchCounts();
+      await renderMovers();
+    } catch (_) {
+      // status area shows failures
+    }
+  });
+  source.onerror = () => {
+    // Endpoint missing (e.g., serverless deploy): stop retrying
+    if (source.readyState === EventSource.CLOSED) source.close();
+  };
+}
+
+// Kiosk / TV mode (?kiosk=1): no buttons, fullscreen, one view at a time
+// rotating every ?rotate= seconds (default 20; 0 shows everything), and data
+// polled every refreshSeconds so the board keeps going without the stream.
+const KIOSK_VIEWS = [
+  ['counts', ['table.board', '#status']],
+  ['movers', ['#movers']],
+  ['summaries', ['#summaries']],
+  ['trends', ['#charts']],
+];
+
+function setupKiosk(refreshMs) {
+  document.body.classList.add('kiosk');
+  enterFullscreen();
+  keepScreenAwake();
+  setInterval(async () => {
+    try {
+      await fetchCounts();
+      await renderMovers();
+      await renderCharts();
+    } catch (_) {
+      // status area shows failures; the next tick retries
+    }
+  }, refreshMs);
+  const rotate = getQueryParam('rotate');
+  const rotateSeconds = rotate == null ? 20 : Math.max(0, Number(rotate) || 0);
+  if (rotateSeconds > 0) rotateKioskViews(Math.max(5, rotateSeconds) * 1000);
+}
+
+function rotateKioskViews(intervalMs) {
+  const elements = (selectors) => selectors.map((sel) => document.querySelector(sel)).filter(Boolean);
+  // Views with nothing to show (no summaries, no trend data yet) are skipped
+  const hasContent = (els) => els.some((el) => !el.hidden && el.textContent.trim());
+  let current = null;
+  function next() {
+    const views = KIOSK_VIEWS.filter(([, selectors]) => hasContent(elements(selectors))).map(([name]) => name);
+    if (!views.length) return;
+    current = views[(views.indexOf(current) + 1) % views.length];
+    for (const [name, selectors] of KIOSK_VIEWS) {
+      for (const el of elements(selectors)) el.classList.toggle('kiosk-off', name !== current);
+    }
   }
-  await Promise.all(tasks);
+  next();
+  setInterval(next, intervalMs);
 }
 
-// Theme toggle (auto + manual), persisted in localStorage
-(function setupThemeToggle() {
-  const btn = document.getElementById('theme-toggle');
-  if (!btn) return;
+// Browsers only allow fullscreen after a user gesture; if the first try is refused,
+// retry on the first click or key press (or start the TV browser in kiosk mode)
+function enterFullscreen() {
   const root = document.documentElement;
+  if (typeof root.requestFullscreen !== 'function') return;
+  const request = () => {
+    if (!document.fullscreenElement) return root.requestFullscreen();
+    return Promise.resolve();
+  };
+  request().catch(() => {
+    const retry = () => request().catch(() => {});
+    document.addEventListener('click', retry, { once: true });
+    document.addEventListener('keydown', retry, { once: true });
+  });
+}
 
-  function apply(mode) {
-    root.classList.remove('dark', 'light');
-    if (mode === 'dark') root.classList.add('dark');
-    if (mode === 'light') root.classList.add('light');
-    btn.textContent = root.classList.contains('dark') ? '☀️' : '🌙';
-  }
+// Keeps the TV from dimming; the lock is released whenever the tab is hidden
+function keepScreenAwake() {
+  if (!navigator.wakeLock) return;
+  const request = () => navigator.wakeLock.request('screen').catch(() => {});
+  request();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') request();
+  });
+}
+
+// Trend charts (burndown / cumulative) drawn as inline SVG from /api/history.
+// Colours come from CSS classes, so the dark/light theme applies without a redraw.
+function renderLineChart(title, series) {
+  const W = 480, H = 200, PAD = { top: 12, right: 12, bottom: 26, left: 36 };
+  const all = series.flatMap((s) => s.points);
+  if (!all.length) return '';
+  const t0 = Math.min(...all.map((p) => p.t));
+  const t1 = Math.max(...all.map((p) => p.t));
+  const vMax = Math.max(1, ...all.map((p) => p.value));
+  const x = (t) => PAD.left + (t1 === t0 ? 0 : (t - t0) / (t1 - t0)) * (W - PAD.left - PAD.right);
+  const y = (v) => H - PAD.bottom - (v / vMax) * (H - PAD.top - PAD.bottom);
+  const time = (t) => new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const ticks = Array.from(new Set([0, 0.25, 0.5, 0.75, 1].map((f) => Math.round(vMax * f))));
+  const grid = ticks.map((v) => {
+    const yy = y(v).toFixed(1);
+    return `<line class="chart-grid" x1="${PAD.left}" x2="${W - PAD.right}" y1="${yy}" y2="${yy}"></line>`
+      + `<text class="chart-label" x="${PAD.left - 6}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end">${v}</text>`;
+  }).join('');
+  const axis = `<line class="chart-axis" x1="${PAD.left}" x2="${W - PAD.right}" y1="${H - PAD.bottom}" y2="${H - PAD.bottom}"></line>`
+    + `<text class="chart-label" x="${PAD.left}" y="${H - 8}" text-anchor="start">${time(t0)}</text>`
+    + `<text class="chart-label" x="${W - PAD.right}" y="${H - 8}" text-anchor="end">${time(t1)}</text>`;
+  const lines = series.map((s, i) => {
+    const d = s.points.map((p, j) => `${j ? 'L' : 'M'}${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+    return `<path class="chart-line series-${i % 6}" d="${d}"><title>${escapeHtml(s.label)}</title></path>`;
+  }).join('');
+  const legend = series.map((s, i) => {
+    const last = s.points[s.points.length - 1];
+    return `<span class="chart-key"><i class="series-${i % 6}"></i>${escapeHtml(s.label)}${last ? ` <b>${last.value}</b>` : ''}</span>`;
+  }).join('');
+
+  return `
+    <figure class="chart">
+      <figcaption>${escapeHtml(title)}</figcaption>
+      <svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHtml(title)}">${grid}${axis}${lines}</svg>
+      <div class="chart-legend">${legend}</div>
+    </figure>
+  `;
+}
+
+// Sum several metric series into one line, carrying each metric's last value forward
+function sumSeries(seriesList) {
+  const times = Array.from(new Set(seriesList.flatMap((pts) => pts.map((p) => p.t)))).sort((a, b) => a - b);
+  const cursors = seriesList.map(() => ({ i: 0, value: null }));
+  return times.map((t) => {
+    let total = 0;
+    seriesList.forEach((pts, k) => {
+      const c = cursors[k];
+      while (c.i < pts.length && pts[c.i].t <= t) c.value = pts[c.i++].value;
+      total += c.value || 0;
+    });
+    return { t, value: total };
+  });
+}
+
+async function renderCharts() {
+  const section = document.getElementById('charts');
+  const body = document.getElementById('charts-body');
+  if (!section || !body || !BOARD) return;
+  const columns = (BOARD.columns || []).filter((c) => c.chart);
+  const rows = BOARD.rows || [];
+  const metricIds = Array.from(new Set(columns.flatMap((c) => rows.map((r) => r.cells?.[c.key]).filter(Boolean))));
+  if (!metricIds.length) { section.hidden = true; return; }
 
-  function setIconFromState() {
-    if (root.classList.contains('dark')) { btn.textContent = '☀️'; return; }
-    if (root.classList.contains('light')) { btn.textContent = '🌙'; return; }
-    const systemDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-    btn.textContent = systemDark ? '☀️' : '🌙';
+  const qp = new URLSearchParams({ metric: metricIds.join(','), bucket: getQueryParam('bucket') || '15m' });
+  const since = getQueryParam('since');
+  if (since) qp.set('since', since);
+  let data;
+  try {
+    const res = await fetch(`/api/history?${qp.toString()}`, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    data = await res.json();
+  } catch (_) {
+    section.hidden = true; // history not available (e.g., serverless deploy)
+    return;
   }
+  const pointsOf = (id) => (data.series?.[id] || []).map((p) => ({ t: Date.parse(p.t), value: Number(p.value) }));
 
-  // Load preference (if any); otherwise mirror system, update on system change
-  let pref = localStorage.getItem('theme');
-  if (pref) {
-    apply(pref);
-  } else {
-    // Apply system preference as the initial explicit theme class
-    const systemDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-    apply(systemDark ? 'dark' : 'light');
-    // Keep icon in sync if system theme changes (until user picks a manual pref)
-    if (window.matchMedia) {
-      const mq = window.matchMedia('(prefers-color-scheme: dark)');
-      const onChange = () => {
-        const hasManual = !!localStorage.getItem('theme');
-        if (!hasManual) apply(mq.matches ? 'dark' : 'light');
-      };
-      if (typeof mq.addEventListener === 'function') mq.addEventListener('change', onChange);
-      else if (typeof mq.addListener === 'function') mq.addListener(onChange);
+  const charts = columns.map((c) => {
+    const cells = rows.filter((r) => r.cells?.[c.key]);
+    if (c.chart === 'total') {
+      const points = sumSeries(cells.map((r) => pointsOf(r.cells[c.key])));
+      return renderLineChart(c.label, [{ label: c.total?.label || c.label, points }]);
     }
-  }
+    return renderLineChart(c.label, cells.map((r) => ({ label: r.label, points: pointsOf(r.cells[c.key]) })));
+  }).filter(Boolean);
 
-  btn.addEventListener('click', () => {
-    const nowDark = !document.documentElement.classList.contains('dark');
-    const mode = nowDark ? 'dark' : 'light';
-    localStorage.setItem('theme', mode);
-    apply(mode);
-  });
-})();
+  section.hidden = !charts.length;
+  body.innerHTML = charts.join('');
+}
+
+applyTheme();
@@ -3,8 +3,11 @@
 
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { cleanEnv, toJql, eventState, normalizeBoardConfig, readBoardConfig } = require('./lib/board');
+const { BADGES, mapLimit, userId, moversFields, buildMovers, shapeMovers } = require('./lib/movers');
 
 // Simple .env loader (no dotenv dependency)
 function loadEnv(envPath = path.join(__dirname, '.env')) {
@@ -33,143 +36,468 @@ function cacheGet(key) {
   return hit.value;
 }
 function cacheSet(key, value, ttlMs) {
+  // Entries are only dropped when read; sweep expired ones before the map grows large
+  if (CACHE.size >= 500) {
+    const now = Date.now();
+    for (const [k, hit] of CACHE) if (hit.expireAt && now > hit.expireAt) CACHE.delete(k);
+  }
   CACHE.set(key, { value, expireAt: ttlMs ? Date.now() + ttlMs : 0 });
 }
 
-function getAuthHeaders() {
-  if (!JIRA_BASE_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
-    throw new Error('Missing Jira configuration (JIRA_BASE_URL/JIRA_EMAIL/JIRA_API_TOKEN)');
+async function getAuthHeaders() {
+  if (!JIRA_API_BASE_URL || !JIRA_AUTH_PROVIDER.configured) {
+    throw new Error(`Missing Jira configuration (JIRA_BASE_URL/${JIRA_AUTH_PROVIDER.missing})`);
   }
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
   return {
-    'Authorization': `Basic ${auth}`,
+    'Authorization': await JIRA_AUTH_PROVIDER.header(),
     'Accept': 'application/json',
     'User-Agent': 'jira-leaderboard-webview/1.4',
   };
 }
 
-async function searchIssues(jql, max = 200) {
-  const base = JIRA_BASE_URL.replace(/\/$/, '');
-  const headers = getAuthHeaders();
-  const jqlParam = encodeURIComponent(jql);
-  const fields = encodeURIComponent('key');
-  const url = `${base}/rest/api/3/search?jql=${jqlParam}&maxResults=${Math.min(max, 1000)}&fields=${fields}`;
-  const res = await fetchJSON(url, { headers });
-  const issues = Array.isArray(res.issues) ? res.issues : [];
-  return issues.map(it => ({ key: it.key, id: it.id }));
+// Walks /rest/api/3/search/jql page by page (nextPageToken) up to `max` issues.
+// Jira Data Center has no /search/jql, so a 404 falls back to startAt paging on v2.
+async function searchIssues(jql, max = MOVERS_MAX_ISSUES, extraFields = []) {
+  const base = JIRA_API_BASE_URL;
+  const headers = { ...(await getAuthHeaders()), 'Content-Type': 'application/json' };
+  const fields = ['key', 'updated', ...extraFields];
+  const issues = [];
+  let more = false;
+  try {
+    let nextPageToken;
+    do {
+      const body = { jql, maxResults: Math.max(1, Math.min(100, max - issues.length)), fields };
+      if (nextPageToken) body.nextPageToken = nextPageToken;
+      const res = await jiraRequest(`${base}/rest/api/3/search/jql`, { method: 'POST', headers, body: JSON.stringify(body) });
+      const page = Array.isArray(res.issues) ? res.issues : [];
+      for (const it of page) issues.push({ key: it.key, id: it.id, updated: it.fields && it.fields.updated || null, fields: it.fields || {} });
+      nextPageToken = page.length && !res.isLast ? res.nextPageToken : undefined;
+    } while (nextPageToken && issues.length < max);
+    more = !!nextPageToken;
+  } catch (e) {
+    if (e.status !== 404) throw e;
+    let total = 0;
+    do {
+      const res = await jiraRequest(`${base}/rest/api/2/search`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ jql, startAt: issues.length, maxResults: Math.max(1, Math.min(100, max - issues.length)), fields }),
+      });
+      const page = Array.isArray(res.issues) ? res.issues : [];
+      total = res.total || 0;
+      for (const it of page) issues.push({ key: it.key, id: it.id, updated: it.fields && it.fields.updated || null, fields: it.fields || {} });
+      if (!page.length) break;
+    } while (issues.length < total && issues.length < max);
+    more = issues.length < total;
+  }
+  return { issues: issues.slice(0, max), truncated: more };
 }
 
 async function fetchChangelog(issueId, startAt = 0, maxResults = 100) {
-  const base = JIRA_BASE_URL.replace(/\/$/, '');
-  const headers = getAuthHeaders();
+  const base = JIRA_API_BASE_URL;
+  const headers = await getAuthHeaders();
   const url = `${base}/rest/api/3/issue/${issueId}/changelog?startAt=${startAt}&maxResults=${maxResults}`;
-  return fetchJSON(url, { headers });
-}
-
-function withinWindow(ts, since, until) {
-  const t = new Date(ts).getTime();
-  if (Number.isNaN(t)) return false;
-  if (since && t < new Date(since).getTime()) return false;
-  if (until && t > new Date(until).getTime()) return false;
-  return true;
+  return jiraRequest(url, { headers });
 }
 
-async function countTransitionsByUser(issues, fromName, toName, since, until, notFromName, notToName) {
-  const counts = new Map(); // author.displayName => number
-
+// Per-issue changelogs: one request per issue (more when it pages)
+async function fetchChangelogsPerIssue(issues) {
+  const byIssue = new Map(issues.map((it) => [String(it.id), []]));
   async function processIssue(issue) {
+    const list = byIssue.get(String(issue.id));
     let startAt = 0;
     let total = 0;
     do {
       const log = await fetchChangelog(issue.id, startAt, 100);
       total = log.total || 0;
       const histories = Array.isArray(log.values) ? log.values : [];
-      for (const h of histories) {
-        const authorName = h.author && (h.author.displayName || h.author.name || h.author.accountId) || 'Unknown';
-        const created = h.created;
-        if (since || until) {
-          if (!withinWindow(created, since, until)) continue;
-        }
-        const items = Array.isArray(h.items) ? h.items : [];
-        for (const it of items) {
-          if (it.field !== 'status') continue;
-          const from = (it.fromString || '').trim();
-          const to = (it.toString || '').trim();
-          const fromOk = (!fromName || from.toLowerCase() === String(fromName).toLowerCase()) && (!notFromName || from.toLowerCase() !== String(notFromName).toLowerCase());
-          const toOk = (!toName || to.toLowerCase() === String(toName).toLowerCase()) && (!notToName || to.toLowerCase() !== String(notToName).toLowerCase());
-          if (fromOk && toOk) {
-            counts.set(authorName, (counts.get(authorName) || 0) + 1);
-          }
-        }
-      }
+      list.push(...histories);
       startAt += histories.length;
       if (histories.length === 0) break;
     } while (startAt < total);
   }
+  const concurrency = Math.max(1, Math.min(10, Number(process.env.MOVERS_CONCURRENCY || 5)));
+  await mapLimit(issues, concurrency, processIssue);
+  return byIssue;
+}
 
-  async function mapLimit(arr, limit, iter) {
-    const pending = new Set();
-    for (const item of arr) {
-      const p = Promise.resolve().then(() => iter(item));
-      pending.add(p);
-      p.finally(() => pending.delete(p));
-      if (pending.size >= limit) {
-        await Promise.race(pending);
+// Bulk changelogs: status-only histories for up to 1000 issues per request
+async function fetchChangelogsBulk(issues) {
+  const base = JIRA_API_BASE_URL;
+  const headers = { ...(await getAuthHeaders()), 'Content-Type': 'application/json' };
+  const byIssue = new Map(issues.map((it) => [String(it.id), []]));
+  for (let i = 0; i < issues.length; i += CHANGELOG_BULK_BATCH) {
+    const issueIdsOrKeys = issues.slice(i, i + CHANGELOG_BULK_BATCH).map((it) => it.id);
+    let nextPageToken;
+    do {
+      const body = { issueIdsOrKeys, fieldIds: ['status'], maxResults: 1000 };
+      if (nextPageToken) body.nextPageToken = nextPageToken;
+      const res = await jiraRequest(`${base}/rest/api/3/changelog/bulkfetch`, { method: 'POST', headers, body: JSON.stringify(body) });
+      const logs = Array.isArray(res.issueChangeLogs) ? res.issueChangeLogs : [];
+      for (const log of logs) {
+        const list = byIssue.get(String(log.issueId));
+        if (list && Array.isArray(log.changeHistories)) list.push(...log.changeHistories);
       }
+      nextPageToken = logs.length ? res.nextPageToken : undefined;
+    } while (nextPageToken);
+  }
+  return byIssue;
+}
+
+// issue id => change histories, via bulk fetch unless CHANGELOG_MODE=issue.
+// In auto mode a site without bulkfetch (e.g., Data Center) switches to per-issue for good.
+let bulkChangelogUnavailable = false;
+async function fetchChangelogsFromJira(issues) {
+  if (CHANGELOG_MODE !== 'issue' && !bulkChangelogUnavailable) {
+    try {
+      return await fetchChangelogsBulk(issues);
+    } catch (e) {
+      if (CHANGELOG_MODE === 'bulk' || ![403, 404, 405, 501].includes(e.status)) throw e;
+      bulkChangelogUnavailable = true;
+      console.warn('Bulk changelog fetch unavailable, using per-issue changelogs:', e.message);
     }
-    await Promise.all(pending);
   }
+  return fetchChangelogsPerIssue(issues);
+}
 
-  const concurrency = Math.max(1, Math.min(10, Number(process.env.MOVERS_CONCURRENCY || 5)));
-  await mapLimit(issues, concurrency, processIssue);
+// Persistent changelog store: issue id => { updated, seenAt, histories } with only
+// status items kept. Saved to DATA_DIR/changelogs.json; an issue is refetched only
+// when its `updated` time differs from the stored one.
+const CHANGELOG_STORE = new Map();
+const CHANGELOG_STORE_TTL_MS = 30 * 86400000; // forget issues no filter has returned for 30 days
+let changelogSaveTimer = null;
 
-  const arr = Array.from(counts.entries()).map(([user, count]) => ({ user, count }));
-  arr.sort((a, b) => b.count - a.count || a.user.localeCompare(b.user));
-  return arr;
+function loadChangelogStore() {
+  try {
+    const data = JSON.parse(fs.readFileSync(CHANGELOG_FILE, 'utf8'));
+    for (const [id, entry] of Object.entries(data.issues || {})) CHANGELOG_STORE.set(id, entry);
+  } catch (_) {
+    // no store yet (or unreadable) – everything is fetched fresh
+  }
+}
+
+function saveChangelogStoreSoon() {
+  if (changelogSaveTimer) return;
+  changelogSaveTimer = setTimeout(() => {
+    changelogSaveTimer = null;
+    const cutoff = Date.now() - CHANGELOG_STORE_TTL_MS;
+    const issues = {};
+    for (const [id, entry] of CHANGELOG_STORE) {
+      if (entry.seenAt < cutoff) CHANGELOG_STORE.delete(id);
+      else issues[id] = entry;
+    }
+    // Write then rename so a crash never leaves a half-written store
+    const tmp = CHANGELOG_FILE + '.tmp';
+    fs.mkdir(DATA_DIR, { recursive: true }, (mkErr) => {
+      if (mkErr) return console.error('Changelog store write failed:', mkErr.message);
+      fs.writeFile(tmp, JSON.stringify({ version: 1, issues }), (err) => {
+        if (err) return console.error('Changelog store write failed:', err.message);
+        fs.rename(tmp, CHANGELOG_FILE, (renameErr) => {
+          if (renameErr) console.error('Changelog store write failed:', renameErr.message);
+        });
+      });
+    });
+  }, 2000);
+}
+
+function statusOnly(histories) {
+  const out = [];
+  for (const h of histories) {
+    const items = (Array.isArray(h.items) ? h.items : []).filter((it) => it.field === 'status');
+    if (!items.length) continue;
+    out.push({ id: h.id, author: h.author, created: h.created, items });
+  }
+  return out;
+}
+
+// Shared by movers counting and discover mode
+async function fetchStatusHistories(issues) {
+  const now = Date.now();
+  const stale = issues.filter((it) => {
+    const hit = CHANGELOG_STORE.get(String(it.id));
+    return !hit || !it.updated || hit.updated !== it.updated;
+  });
+  if (stale.length) {
+    const fetched = await fetchChangelogsFromJira(stale);
+    for (const it of stale) {
+      CHANGELOG_STORE.set(String(it.id), { updated: it.updated || null, seenAt: now, histories: statusOnly(fetched.get(String(it.id)) || []) });
+    }
+  }
+  const byIssue = new Map();
+  for (const it of issues) {
+    const entry = CHANGELOG_STORE.get(String(it.id));
+    entry.seenAt = now;
+    byIssue.set(String(it.id), entry.histories);
+  }
+  if (issues.length) saveChangelogStoreSoon();
+  return byIssue;
+}
+
+// user (lower-cased accountId or display name) => team, from the config lists
+// plus the Jira groups (members cached for an hour)
+async function teamMap() {
+  const teams = BOARD.teams;
+  const cached = cacheGet('teams:map');
+  if (cached) return cached;
+  const map = new Map();
+  for (const [team, group] of Object.entries(teams.groups)) {
+    for (const id of await fetchGroupMembers(group)) if (!map.has(id.toLowerCase())) map.set(id.toLowerCase(), team);
+  }
+  // explicit lists win over group membership
+  for (const [team, users] of Object.entries(teams.members)) for (const user of users) map.set((BOARD.aliases[user] || user).toLowerCase(), team);
+  cacheSet('teams:map', map, 3600000);
+  return map;
+}
+
+async function fetchGroupMembers(group) {
+  const base = JIRA_API_BASE_URL;
+  const headers = await getAuthHeaders();
+  const ids = [];
+  for (const version of ['3', '2']) {
+    try {
+      let startAt = 0;
+      for (;;) {
+        const qs = new URLSearchParams({ groupname: group, startAt: String(startAt), maxResults: '50', includeInactiveUsers: 'true' });
+        const page = await jiraRequest(`${base}/rest/api/${version}/group/member?${qs}`, { headers });
+        const values = Array.isArray(page.values) ? page.values : [];
+        for (const u of values) ids.push(userId(u, BOARD.aliases));
+        startAt += values.length;
+        if (page.isLast !== false || !values.length) break;
+      }
+      return ids;
+    } catch (err) {
+      // Data Center only has the v2 resource
+      if (err.status !== 404 || version === '2') throw err;
+    }
+  }
+  return ids;
+}
+
+// Shared by /api/movers and the stream poller; results are cached per query,
+// identical queries in flight share one computation, and the last good result
+// per query is served (flagged stale) if Jira fails. The cache holds the full,
+// unranked result, so rank and limit (which only sort and slice) share entries.
+const MOVERS_CACHE_TTL_MS = 60000;
+const LAST_GOOD_MOVERS = new Map();
+const MOVERS_IN_FLIGHT = new Map();
+async function computeMovers(query) {
+  return (await moversResult(query)).payload;
+}
+
+// Without an explicit window, movers and history cover the configured event
+function eventWindow(since, until) {
+  if (!BOARD.event) return { since, until };
+  return { since: since || BOARD.event.start, until: until || BOARD.event.end || undefined };
+}
+
+// Only what changes the full result goes into the key
+function moversCacheKey({ filter, from, to, notFrom, notTo, since, until, maxIssues = MOVERS_MAX_ISSUES, discover = false, aggregate = 'user' }) {
+  const window = eventWindow(since, until);
+  return JSON.stringify({
+    jql: toJql(filter),
+    from: from || null,
+    to: to || null,
+    notFrom: notFrom || null,
+    notTo: notTo || null,
+    since: window.since || null,
+    until: window.until || null,
+    maxIssues,
+    discover: !!discover,
+    aggregate,
+  });
+}
+
+// { payload, details }: details (userId => counted transitions) stay server-side
+// until /api/movers/detail asks for one user
+async function moversResult({ filter, from, to, notFrom, notTo, since, until, limit = 20, maxIssues = MOVERS_MAX_ISSUES, discover = false, rank = 'count', aggregate = 'user' }) {
+  const jql = toJql(filter); // filter=NN or raw JQL
+  ({ since, until } = eventWindow(since, until));
+  const cacheKey = moversCacheKey({ filter, from, to, notFrom, notTo, since, until, maxIssues, discover, aggregate });
+  const shape = (full) => ({ payload: shapeMovers(full.payload, rank, limit), details: full.details });
+  const cached = cacheGet(cacheKey);
+  if (cached) {
+    MOVERS_CACHE_STATS.hits++;
+    return shape(cached);
+  }
+  try {
+    let pending = MOVERS_IN_FLIGHT.get(cacheKey);
+    if (pending) {
+      MOVERS_CACHE_STATS.coalesced++;
+    } else {
+      MOVERS_CACHE_STATS.misses++;
+      pending = computeMoversFresh({ filter, jql, from, to, notFrom, notTo, since, until, maxIssues, discover, aggregate })
+        .then((result) => {
+          cacheSet(cacheKey, result, MOVERS_CACHE_TTL_MS);
+          rememberGoodMovers(cacheKey, result);
+          return result;
+        })
+        .finally(() => MOVERS_IN_FLIGHT.delete(cacheKey));
+      MOVERS_IN_FLIGHT.set(cacheKey, pending);
+    }
+    return shape(await pending);
+  } catch (err) {
+    const last = LAST_GOOD_MOVERS.get(cacheKey);
+    if (!last) throw err;
+    const { payload, details } = shape(last);
+    return { payload: { ...payload, stale: true, asOf: last.at, error: String(err && err.message || err) }, details };
+  }
+}
+
+// Last-good results are kept only for the board's own tables (the queries the
+// page, stream and archive run), so client-chosen windows and statuses cannot
+// grow the map; tables removed by an admin edit are dropped on the next success.
+function boardMoversKeys() {
+  const keys = new Set();
+  for (const board of BOARD.movers) {
+    if (!moversConfigured(board)) continue;
+    keys.add(moversCacheKey(moversQuery(board)));
+    if (BOARD.teams && BOARD.teams.movers.includes(board.key)) keys.add(moversCacheKey({ ...moversQuery(board), aggregate: 'team' }));
+  }
+  return keys;
+}
+
+function rememberGoodMovers(cacheKey, result) {
+  const keys = boardMoversKeys();
+  for (const key of LAST_GOOD_MOVERS.keys()) if (!keys.has(key)) LAST_GOOD_MOVERS.delete(key);
+  if (keys.has(cacheKey)) LAST_GOOD_MOVERS.set(cacheKey, { ...result, at: new Date().toISOString() });
+}
+
+// Every counted user (by count) or team; shapeMovers ranks and slices
+async function computeMoversFresh(query) {
+  const { issues, truncated } = await searchIssues(query.jql, query.maxIssues, moversFields(BOARD.scoring));
+  const historiesByIssue = await fetchStatusHistories(issues);
+  return buildMovers({ issues, truncated, historiesByIssue }, query, { board: BOARD, baseUrl: JIRA_BASE_URL, teamMap });
+}
+
+// The filters /api/movers may run as the service account without the admin token
+function isConfiguredFilter(filter) {
+  const jql = toJql(filter);
+  return !!jql && Object.values(BOARD.metrics).some((m) => toJql(m.filter) === jql);
+}
+
+// metric=<id> or project=<KEY> (MOVERS_ALLOWED_PROJECTS) → { filter } | { status, error };
+// any other filter/JQL needs the admin token
+function moversFilter(req, params) {
+  const metric = params.get('metric');
+  const project = params.get('project');
+  const filter = params.get('filter');
+  if (metric) {
+    if (!BOARD.metrics[metric]) return { status: 400, error: `Unknown metric: ${metric}` };
+    return { filter: BOARD.metrics[metric].filter };
+  }
+  if (project) {
+    const key = project.trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9_]*$/.test(key) || !MOVERS_ALLOWED_PROJECTS.includes(key)) return { status: 403, error: `Project ${project} is not in MOVERS_ALLOWED_PROJECTS` };
+    return { filter: `project = ${key}` };
+  }
+  if (!filter) return { status: 400, error: 'Missing required query param: metric (or filter)' };
+  if (!isConfiguredFilter(filter) && !isAdmin(req)) return { status: 403, error: 'Only the board\'s configured filters can be queried; raw JQL needs the admin token' };
+  return { filter };
+}
+
+// /api/movers query params → { query } | { status, error }
+function moversRequest(req, url) {
+  const { filter, status, error } = moversFilter(req, url.searchParams);
+  if (error) return { status, error };
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
+  const notFrom = url.searchParams.get('notFrom');
+  const notTo = url.searchParams.get('notTo');
+  const since = url.searchParams.get('since');
+  const until = url.searchParams.get('until');
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 100);
+  const maxIssues = Math.min(parseInt(url.searchParams.get('maxIssues') || '0', 10) || MOVERS_MAX_ISSUES, MOVERS_MAX_ISSUES);
+  const discover = url.searchParams.get('discover') === '1';
+  const rank = url.searchParams.get('rank') === 'score' ? 'score' : 'count';
+  const aggregate = url.searchParams.get('aggregate') === 'team' ? 'team' : 'user';
+
+  if (aggregate === 'team' && !BOARD.teams) return { status: 400, error: 'aggregate=team needs a teams section in the board config' };
+  if (!toJql(filter)) return { status: 400, error: 'Invalid filter/JQL' };
+  return { query: { filter, from, to, notFrom, notTo, since, until, limit, maxIssues, discover, rank, aggregate } };
 }
 
 async function handleMovers(req, res) {
   try {
     const url = new URL(req.url, `http://${req.headers.host}`);
-    const filter = url.searchParams.get('filter');
-    const from = url.searchParams.get('from');
-    const to = url.searchParams.get('to');
-    const notFrom = url.searchParams.get('notFrom');
-    const notTo = url.searchParams.get('notTo');
+    const { query, status, error } = moversRequest(req, url);
+    if (error) return sendJSON(res, status, { error });
+    const payload = await computeMovers(query);
+    // the filter echoes the configured JQL, so only admins get it back
+    if (isAdmin(req)) return sendJSON(res, 200, payload);
+    const { filter, ...rest } = payload;
+    return sendJSON(res, 200, rest);
+  } catch (err) {
+    return sendJSON(res, 500, { error: String(err && err.message || err) });
+  }
+}
+
+// /api/movers/detail?user=<accountId>&<same params as the table>: every transition
+// counted for that user, to settle "I closed 12, board says 9"
+async function handleMoversDetail(req, res) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const user = url.searchParams.get('user');
+    if (!user) return sendJSON(res, 400, { error: 'Missing required query param: user' });
+    const { query, status, error } = moversRequest(req, url);
+    if (error) return sendJSON(res, status, { error });
+    if (query.discover) return sendJSON(res, 400, { error: 'discover=1 has no per-user detail' });
+    // Same key as the table's request, so this is normally a cache hit
+    const { payload, details } = await moversResult({ ...query, limit: Infinity });
+    const id = BOARD.aliases[user] || user;
+    const transitions = details.get(id);
+    if (!transitions) return sendJSON(res, 404, { error: 'No counted transitions for that user in this window' });
+    const row = (payload.users || []).find((u) => u.accountId === id);
+    return sendJSON(res, 200, {
+      accountId: id,
+      user: row ? row.user : null,
+      count: transitions.length,
+      score: Math.round(transitions.reduce((sum, t) => sum + t.weight, 0) * 100) / 100,
+      ...(isAdmin(req) ? { filter: payload.filter } : {}),
+      from: payload.from,
+      to: payload.to,
+      notFrom: payload.notFrom,
+      notTo: payload.notTo,
+      since: payload.since,
+      until: payload.until,
+      truncated: payload.truncated,
+      ...(payload.stale ? { stale: true, asOf: payload.asOf, error: payload.error } : {}),
+      transitions,
+    });
+  } catch (err) {
+    return sendJSON(res, 500, { error: String(err && err.message || err) });
+  }
+}
+
+// /api/achievements: the badges of every movers table, grouped by badge
+async function handleAchievements(req, res) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const key = url.searchParams.get('key');
+    const boards = key ? BOARD.movers.filter((b) => b.key === key) : BOARD.movers;
+    if (key && !boards.length) return sendJSON(res, 400, { error: `Unknown movers table: ${key}` });
     const since = url.searchParams.get('since');
     const until = url.searchParams.get('until');
-    const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 100);
-    const maxIssues = Math.min(parseInt(url.searchParams.get('maxIssues') || '150', 10) || 150, 1000);
-    const concurrencyParam = Math.min(parseInt(url.searchParams.get('concurrency') || '0', 10) || 0, 20);
-    const ttl = Math.min(parseInt(url.searchParams.get('ttl') || '60', 10) || 60, 600) * 1000;
-
-    if (!filter) return sendJSON(res, 400, { error: 'Missing required query param: filter' });
-    const jqlOrFilter = toJql(filter);
-    if (!jqlOrFilter) return sendJSON(res, 400, { error: 'Invalid filter/JQL' });
-
-    const jql = jqlOrFilter; // filter=NN or raw JQL
-    const cacheKey = JSON.stringify({ jql, from, to, notFrom, notTo, since, until, limit, maxIssues, concurrencyParam });
-    const cached = cacheGet(cacheKey);
-    if (cached) {
-      return sendJSON(res, 200, cached);
+    const tables = [];
+    for (const board of boards) {
+      if (!moversConfigured(board)) continue;
+      const payload = await computeMovers({ ...moversQuery(board), since, until, limit: Infinity });
+      const byBadge = new Map();
+      for (const u of payload.users) {
+        for (const b of u.badges || []) {
+          if (!byBadge.has(b.id)) byBadge.set(b.id, { id: b.id, icon: b.icon, label: BADGES[b.id].label, awards: [] });
+          byBadge.get(b.id).awards.push({ user: u.user, accountId: u.accountId, title: b.title });
+        }
+      }
+      tables.push({
+        key: board.key,
+        label: board.label,
+        since: payload.since,
+        until: payload.until,
+        stale: !!payload.stale,
+        badges: Object.keys(BADGES).filter((id) => byBadge.has(id)).map((id) => byBadge.get(id)),
+      });
     }
-
-    const issues = await searchIssues(jql, maxIssues);
-    const results = await countTransitionsByUser(issues, from, to, since, until, notFrom, notTo);
-    const top = results.slice(0, limit);
-    const payload = {
-      filter,
-      from: from || null,
-      to: to || null,
-      notFrom: notFrom || null,
-      notTo: notTo || null,
-      since: since || null,
-      until: until || null,
-      totalIssues: issues.length,
-      users: top,
-    };
-    cacheSet(cacheKey, payload, ttl);
-    return sendJSON(res, 200, payload);
+    return sendJSON(res, 200, { tables });
   } catch (err) {
     return sendJSON(res, 500, { error: String(err && err.message || err) });
   }
@@ -177,58 +505,173 @@ async function handleMovers(req, res) {
 
 loadEnv();
 
-// Sanitize env strings and strip quotes/whitespace
-function cleanEnv(v) {
-  if (v == null) return '';
-  let s = String(v).trim();
-  if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
-    s = s.slice(1, -1);
-  }
-  return s.trim();
-}
-
 const PORT = Number(cleanEnv(process.env.PORT) || 5173);
 const REFRESH_SECONDS = Number(cleanEnv(process.env.REFRESH_SECONDS) || 60);
 
 let JIRA_BASE_URL = cleanEnv(process.env.JIRA_BASE_URL);
 const JIRA_EMAIL = cleanEnv(process.env.JIRA_EMAIL);
 const JIRA_API_TOKEN = cleanEnv(process.env.JIRA_API_TOKEN);
-const JIRA_FILTER_QA_ID = cleanEnv(process.env.JIRA_FILTER_QA_ID);
-const JIRA_FILTER_DEV_ID = cleanEnv(process.env.JIRA_FILTER_DEV_ID);
-// Optional JQLs/filters for "worked today" counts
-const JIRA_DEV_TODAY = cleanEnv(process.env.JIRA_DEV_TODAY);
-const JIRA_QA_TODAY = cleanEnv(process.env.JIRA_QA_TODAY);
-// Optional: Pre-bugbash baseline filters
-const JIRA_PRE_DEV = cleanEnv(process.env.JIRA_PRE_DEV);
-const JIRA_PRE_QA = cleanEnv(process.env.JIRA_PRE_QA);
-// Optional filter/JQL for Deployment Ready set
-const JIRA_DEPLOYMENTREADY = cleanEnv(process.env.JIRA_DEPLOYMENTREADY);
-
-const INITIAL_QA = Number(cleanEnv(process.env.INITIAL_QA) || 33);
-const INITIAL_DEV = Number(cleanEnv(process.env.INITIAL_DEV) || 71);
+// Safety cap on issues walked per movers query (search is fully paginated up to this)
+const MOVERS_MAX_ISSUES = Math.max(1, Number(cleanEnv(process.env.MOVERS_MAX_ISSUES) || 5000));
+// Jira client resilience (see jiraRequest)
+const JIRA_TIMEOUT_MS = Math.max(1000, Number(cleanEnv(process.env.JIRA_TIMEOUT_MS) || 15000));
+const JIRA_MAX_RETRIES = Math.max(0, Number(cleanEnv(process.env.JIRA_MAX_RETRIES) || 3));
+const JIRA_MAX_CONCURRENCY = Math.max(1, Number(cleanEnv(process.env.JIRA_MAX_CONCURRENCY) || 8));
+const JIRA_BREAKER_THRESHOLD = Math.max(1, Number(cleanEnv(process.env.JIRA_BREAKER_THRESHOLD) || 5));
+const JIRA_BREAKER_COOLDOWN_SECONDS = Math.max(1, Number(cleanEnv(process.env.JIRA_BREAKER_COOLDOWN_SECONDS) || 30));
+// Changelog source for Top Movers: auto (bulk, falling back to per-issue), bulk or issue
+const CHANGELOG_MODE = (cleanEnv(process.env.CHANGELOG_MODE) || 'auto').toLowerCase();
+const CHANGELOG_BULK_BATCH = Math.max(1, Math.min(1000, Number(cleanEnv(process.env.CHANGELOG_BULK_BATCH) || 1000)));
+
+// Local state (count history, caches) lives here; must be writable
+const DATA_DIR = path.resolve(__dirname, cleanEnv(process.env.DATA_DIR) || 'data');
+// How often to snapshot every metric for /api/history (0 disables)
+const HISTORY_INTERVAL_SECONDS = Number(cleanEnv(process.env.HISTORY_INTERVAL_SECONDS) || 300);
+
+// Snapshot cadence for webhook notification rules
+const NOTIFY_INTERVAL_SECONDS = Number(cleanEnv(process.env.NOTIFY_INTERVAL_SECONDS) || REFRESH_SECONDS);
+// /admin is disabled unless a token is set
+const ADMIN_TOKEN = cleanEnv(process.env.ADMIN_TOKEN);
+// Projects /api/movers may query by key (project=KEY) besides the configured filters
+const MOVERS_ALLOWED_PROJECTS = cleanEnv(process.env.MOVERS_ALLOWED_PROJECTS).split(',').map((p) => p.trim().toUpperCase()).filter(Boolean);
+// Optional access layer: a shared viewer token and/or a user header set by an SSO proxy
+const VIEWER_TOKEN = cleanEnv(process.env.VIEWER_TOKEN);
+const AUTH_PROXY_HEADER = cleanEnv(process.env.AUTH_PROXY_HEADER).toLowerCase();
+const ADMIN_USERS = cleanEnv(process.env.ADMIN_USERS).split(',').map((u) => u.trim().toLowerCase()).filter(Boolean);
+const AUTH_SECRET = cleanEnv(process.env.AUTH_SECRET);
+const VIEWER_SESSION_DAYS = Math.max(1, Number(cleanEnv(process.env.VIEWER_SESSION_DAYS) || 30));
+// Per-client token bucket on /api/* (0 disables); TRUST_PROXY takes the client IP from X-Forwarded-For
+const RATE_LIMIT_PER_MINUTE = Math.max(0, Number(cleanEnv(process.env.RATE_LIMIT_PER_MINUTE) || 120));
+const RATE_LIMIT_BURST = Math.max(1, Number(cleanEnv(process.env.RATE_LIMIT_BURST) || 30));
+const TRUST_PROXY = /^(1|true|yes)$/i.test(cleanEnv(process.env.TRUST_PROXY));
 
 // Ensure base URL includes scheme; default to https
 if (JIRA_BASE_URL && !/^https?:\/\//i.test(JIRA_BASE_URL)) {
   JIRA_BASE_URL = 'https://' + JIRA_BASE_URL;
 }
 
-function toJql(filterOrJql) {
-  const raw = cleanEnv(filterOrJql);
-  if (!raw) return '';
-  // If numeric, use filter=ID so Jira evaluates the filter server-side.
-  if (/^\d+$/.test(raw)) return `filter=${raw}`;
-  // If looks like full URL, try to extract ?filter= or ?jql=
-  if (/^https?:\/\//i.test(raw)) {
-    try {
-      const u = new URL(raw);
-      const filterId = u.searchParams.get('filter');
-      if (filterId && /^\d+$/.test(filterId)) return `filter=${filterId}`;
-      const jql = u.searchParams.get('jql');
-      if (jql) return jql;
-    } catch (_) { /* ignore */ }
+// REST calls go to JIRA_API_BASE_URL when set (OAuth apps use
+// https://api.atlassian.com/ex/jira/<cloudId>); browse links always use JIRA_BASE_URL.
+const JIRA_API_BASE_URL = (cleanEnv(process.env.JIRA_API_BASE_URL) || JIRA_BASE_URL).replace(/\/$/, '');
+const JIRA_AUTH = (cleanEnv(process.env.JIRA_AUTH) || 'basic').toLowerCase();
+const JIRA_PAT = cleanEnv(process.env.JIRA_PAT);
+const JIRA_OAUTH_CLIENT_ID = cleanEnv(process.env.JIRA_OAUTH_CLIENT_ID);
+const JIRA_OAUTH_CLIENT_SECRET = cleanEnv(process.env.JIRA_OAUTH_CLIENT_SECRET);
+const JIRA_OAUTH_TOKEN_URL = cleanEnv(process.env.JIRA_OAUTH_TOKEN_URL) || 'https://auth.atlassian.com/oauth/token';
+const JIRA_OAUTH_AUDIENCE = cleanEnv(process.env.JIRA_OAUTH_AUDIENCE);
+const JIRA_OAUTH_SCOPE = cleanEnv(process.env.JIRA_OAUTH_SCOPE);
+
+// Jira auth providers, picked by JIRA_AUTH:
+//   basic  – Cloud email + API token (default)
+//   pat    – Data Center / Server personal access token (Bearer)
+//   oauth2 – OAuth 2.0 client credentials; the access token is cached until shortly before expiry
+function createAuthProvider(kind) {
+  if (kind === 'basic') {
+    return {
+      kind,
+      configured: !!(JIRA_EMAIL && JIRA_API_TOKEN),
+      missing: 'JIRA_EMAIL/JIRA_API_TOKEN',
+      async header() {
+        return `Basic ${Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64')}`;
+      },
+    };
   }
-  // Otherwise assume it's a JQL string
-  return raw;
+  if (kind === 'pat') {
+    return {
+      kind,
+      configured: !!JIRA_PAT,
+      missing: 'JIRA_PAT',
+      async header() {
+        return `Bearer ${JIRA_PAT}`;
+      },
+    };
+  }
+  if (kind === 'oauth2') {
+    let token = null; // { value, expiresAt }
+    let pending = null;
+    async function fetchToken() {
+      const body = { grant_type: 'client_credentials', client_id: JIRA_OAUTH_CLIENT_ID, client_secret: JIRA_OAUTH_CLIENT_SECRET };
+      if (JIRA_OAUTH_SCOPE) body.scope = JIRA_OAUTH_SCOPE;
+      if (JIRA_OAUTH_AUDIENCE) body.audience = JIRA_OAUTH_AUDIENCE;
+      const json = await fetchJSON(JIRA_OAUTH_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(body),
+        timeout: 15000,
+      });
+      if (!json.access_token) throw new Error('OAuth token response had no access_token');
+      const ttlMs = (Number(json.expires_in) || 3600) * 1000;
+      token = { value: json.access_token, expiresAt: Date.now() + Math.max(0, ttlMs - 60000) };
+      return token.value;
+    }
+    return {
+      kind,
+      configured: !!(JIRA_OAUTH_CLIENT_ID && JIRA_OAUTH_CLIENT_SECRET),
+      missing: 'JIRA_OAUTH_CLIENT_ID/JIRA_OAUTH_CLIENT_SECRET',
+      async header() {
+        if (token && Date.now() < token.expiresAt) return `Bearer ${token.value}`;
+        // concurrent callers share one token request
+        if (!pending) pending = fetchToken().finally(() => { pending = null; });
+        return `Bearer ${await pending}`;
+      },
+      // Called on a 401 so the next request fetches a fresh token
+      invalidate() {
+        token = null;
+      },
+    };
+  }
+  throw new Error(`Unknown JIRA_AUTH "${kind}" (use basic, pat or oauth2)`);
+}
+
+const JIRA_AUTH_PROVIDER = createAuthProvider(JIRA_AUTH);
+
+// Chat notifications (server.js only): webhook targets plus rules evaluated on each snapshot
+function normalizeNotifications(notify, board, source) {
+  const fail = (msg) => { throw new Error(`Invalid board config (${source}): ${msg}`); };
+  const known = (id) => Object.prototype.hasOwnProperty.call(board.metrics, id);
+  const webhooks = (Array.isArray(notify.webhooks) ? notify.webhooks : []).map((w, i) => {
+    const url = cleanEnv(w && (w.url || (w.urlEnv && process.env[w.urlEnv])));
+    if (!url) fail(`notifications.webhooks[${i}] needs a url (or urlEnv naming a set env var)`);
+    const format = (w.format || 'slack').toLowerCase();
+    if (format !== 'slack' && format !== 'teams') fail(`notifications.webhooks[${i}].format must be slack or teams`);
+    return { url, format };
+  });
+  const columnKeys = new Set(board.columns.map((c) => c.key));
+  const moversKeys = new Set(board.movers.map((m) => m.key));
+  const rules = (Array.isArray(notify.rules) ? notify.rules : []).map((r, i) => {
+    const where = `notifications.rules[${i}]`;
+    if (!r || typeof r !== 'object') fail(`${where} must be an object`);
+    const rule = { id: String(r.id || i), message: r.message ? String(r.message) : '' };
+    if (r.movers != null) {
+      if (!moversKeys.has(r.movers)) fail(`${where} references unknown movers table "${r.movers}"`);
+      return { ...rule, type: 'leader', movers: r.movers, message: rule.message || 'New #1 on {label}: {user} ({count})' };
+    }
+    if (r.metric != null && !known(r.metric)) fail(`${where} references unknown metric "${r.metric}"`);
+    if (r.column != null && !columnKeys.has(r.column)) fail(`${where} references unknown column "${r.column}"`);
+    if ((r.metric == null) === (r.column == null)) fail(`${where} needs exactly one of metric, column or movers`);
+    const atLeast = r.atLeast != null ? Number(r.atLeast) : null;
+    const atMost = r.atMost != null ? Number(r.atMost) : null;
+    if ((atLeast == null) === (atMost == null) || !Number.isFinite(atLeast ?? atMost)) fail(`${where} needs a numeric atLeast or atMost`);
+    return { ...rule, type: 'threshold', metric: r.metric, column: r.column, atLeast, atMost, message: rule.message || (atLeast != null ? '{label} reached {value}' : '{label} is down to {value}') };
+  });
+  const debounceSeconds = Math.max(0, Number(notify.debounceSeconds ?? 600) || 0);
+  return webhooks.length && rules.length ? { webhooks, rules, debounceSeconds } : null;
+}
+
+// Board layout (see lib/board.js) plus the server's notifications
+function loadBoardConfig() {
+  const { raw, source } = readBoardConfig();
+  const board = normalizeBoardConfig(raw, source);
+  return { ...board, notifications: normalizeNotifications(raw.notifications || {}, board, source) };
+}
+
+const BOARD = loadBoardConfig();
+
+// Layout sent to the browser (filters stay server-side)
+function boardLayout() {
+  const metrics = {};
+  for (const [id, m] of Object.entries(BOARD.metrics)) metrics[id] = { label: m.label };
+  return { metrics, columns: BOARD.columns, rows: BOARD.rows, highlights: BOARD.highlights, movers: BOARD.movers, scoring: !!BOARD.scoring, teams: BOARD.teams && { label: BOARD.teams.label, movers: BOARD.teams.movers } };
 }
 
 function buildFilterInfo(label, filterOrJql) {
@@ -237,7 +680,7 @@ function buildFilterInfo(label, filterOrJql) {
   let url = '';
   let text = '';
   if (!base || !jqlOrFilter) {
-    return { label, url: '', text: '' };
+    return { label, url: '', text: '', configured: !!jqlOrFilter };
   }
   if (jqlOrFilter.startsWith('filter=')) {
     const id = jqlOrFilter.slice('filter='.length);
@@ -247,7 +690,15 @@ function buildFilterInfo(label, filterOrJql) {
     url = `${base}/issues/?jql=${encodeURIComponent(jqlOrFilter)}`;
     text = `JQL (${jqlOrFilter.slice(0, 80)}${jqlOrFilter.length > 80 ? '…' : ''})`;
   }
-  return { label, url, text };
+  return { label, url, text, configured: true };
+}
+
+// What non-admins see of a filter: no text, and a link only to a saved filter
+// (a raw JQL link would spell out the query and the Jira site)
+function publicFilterInfo(label, filterOrJql) {
+  const info = buildFilterInfo(label, filterOrJql);
+  const saved = toJql(filterOrJql).startsWith('filter=');
+  return { label, url: saved ? info.url : '', configured: info.configured };
 }
 
 function sendJSON(res, statusCode, body) {
@@ -296,6 +747,7 @@ function fetchJSON(url, options) {
       path: u.pathname + u.search,
       method: options?.method || 'GET',
       headers: options?.headers || {},
+      timeout: options?.timeout || 0,
     }, (res) => {
       let data = '';
       res.setEncoding('utf8');
@@ -308,109 +760,1321 @@ function fetchJSON(url, options) {
             reject(new Error('Failed to parse JSON: ' + e.message));
           }
         } else {
-          reject(new Error('HTTP ' + res.statusCode + ': ' + data));
+          const err = new Error('HTTP ' + res.statusCode + ': ' + data);
+          err.status = res.statusCode;
+          err.headers = res.headers;
+          reject(err);
         }
       });
     });
+    req.on('timeout', () => {
+      const err = new Error(`Request timed out after ${options.timeout}ms`);
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    });
     req.on('error', reject);
     if (options?.body) req.write(options.body);
     req.end();
   });
 }
 
-async function fetchFilterCount(filterOrJql) {
-  if (!JIRA_BASE_URL || !JIRA_EMAIL || !JIRA_API_TOKEN || !filterOrJql) {
-    throw new Error('Missing Jira config or filter/JQL');
+// Jira client: every Jira call goes through jiraRequest, which adds a timeout,
+// retries 429/5xx/network errors with exponential backoff (honouring Retry-After),
+// caps in-flight requests across counts and movers, and trips a circuit breaker
+// after repeated failures so callers fail fast and fall back to last good values.
+const JIRA_BREAKER = { failures: 0, openUntil: 0 };
+const JIRA_QUEUE = [];
+let jiraActive = 0;
+
+async function withJiraSlot(fn) {
+  if (jiraActive >= JIRA_MAX_CONCURRENCY) await new Promise((resolve) => JIRA_QUEUE.push(resolve));
+  else jiraActive++;
+  try {
+    return await fn();
+  } finally {
+    // hand the slot straight to the next waiter so the budget is never exceeded
+    const next = JIRA_QUEUE.shift();
+    if (next) next();
+    else jiraActive--;
   }
-  const base = JIRA_BASE_URL.replace(/\/$/, '');
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  const headers = {
-    'Authorization': `Basic ${auth}`,
-    'Accept': 'application/json',
-    'User-Agent': 'jira-leaderboard-webview/1.4',
-  };
+}
+
+function isRetryable(err) {
+  if (!err.status) return true; // network error or timeout
+  return err.status === 429 || err.status === 502 || err.status === 503 || err.status === 504;
+}
+
+function retryDelayMs(err, attempt) {
+  const header = err.headers && err.headers['retry-after'];
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (ms >= 0) return Math.min(ms, 60000);
+  }
+  const backoff = 500 * Math.pow(2, attempt);
+  return Math.min(backoff + Math.random() * backoff * 0.2, 30000);
+}
+
+// Prometheus counters for Jira calls (per attempt, so retries show up) and the
+// movers cache; rendered by /metrics.
+const JIRA_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const JIRA_STATS = new Map(); // endpoint => { requests: Map(status => n), errors, buckets, sum, count }
+const MOVERS_CACHE_STATS = { hits: 0, misses: 0, coalesced: 0 };
+
+// search (v3 search, search/jql, approximate-count), changelog (bulk + per issue), v2_fallback
+function jiraEndpoint(url) {
+  const p = new URL(url).pathname;
+  if (p.includes('/rest/api/2/')) return 'v2_fallback';
+  if (/\/rest\/api\/3\/search/.test(p)) return 'search';
+  if (/\/changelog/.test(p)) return 'changelog';
+  return 'other';
+}
+
+function observeJira(url, startedAt, err) {
+  const endpoint = jiraEndpoint(url);
+  let stats = JIRA_STATS.get(endpoint);
+  if (!stats) {
+    stats = { requests: new Map(), errors: 0, buckets: JIRA_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    JIRA_STATS.set(endpoint, stats);
+  }
+  const status = err ? String(err.status || (err.code === 'ETIMEDOUT' ? 'timeout' : 'network')) : '200';
+  stats.requests.set(status, (stats.requests.get(status) || 0) + 1);
+  if (err) stats.errors++;
+  const seconds = (Date.now() - startedAt) / 1000;
+  stats.sum += seconds;
+  stats.count++;
+  JIRA_LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) stats.buckets[i]++; });
+}
+
+async function timedFetchJSON(url, options) {
+  const startedAt = Date.now();
+  try {
+    const json = await fetchJSON(url, options);
+    observeJira(url, startedAt, null);
+    return json;
+  } catch (err) {
+    observeJira(url, startedAt, err);
+    throw err;
+  }
+}
+
+async function jiraRequest(url, options = {}) {
+  if (JIRA_BREAKER.openUntil > Date.now()) {
+    const secs = Math.ceil((JIRA_BREAKER.openUntil - Date.now()) / 1000);
+    const err = new Error(`Jira unavailable (circuit open, retrying in ${secs}s)`);
+    err.code = 'ECIRCUITOPEN';
+    throw err;
+  }
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const json = await withJiraSlot(() => timedFetchJSON(url, { ...options, timeout: JIRA_TIMEOUT_MS }));
+      JIRA_BREAKER.failures = 0;
+      return json;
+    } catch (err) {
+      if (err.status === 401 && attempt === 0 && JIRA_AUTH_PROVIDER.invalidate) {
+        // expired/revoked OAuth token: fetch a new one and try once more
+        JIRA_AUTH_PROVIDER.invalidate();
+        options = { ...options, headers: { ...options.headers, 'Authorization': await JIRA_AUTH_PROVIDER.header() } };
+        continue;
+      }
+      if (!isRetryable(err)) throw err;
+      if (attempt >= JIRA_MAX_RETRIES) {
+        // after the cooldown one more failure re-opens it straight away
+        if (++JIRA_BREAKER.failures >= JIRA_BREAKER_THRESHOLD && JIRA_BREAKER.openUntil <= Date.now()) {
+          JIRA_BREAKER.openUntil = Date.now() + JIRA_BREAKER_COOLDOWN_SECONDS * 1000;
+          console.error(`Jira circuit open for ${JIRA_BREAKER_COOLDOWN_SECONDS}s after ${JIRA_BREAKER.failures} failed requests`);
+        }
+        throw err;
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryDelayMs(err, attempt)));
+    }
+  }
+}
+
+// Only a site without the endpoint falls back to the next one; bad JQL, missing
+// permissions and outages are reported as they are
+function isMissingEndpoint(err) {
+  return err.status === 404 || err.status === 405 || err.status === 410;
+}
+
+// Jira answered (2xx) without the number: this slot's problem, not an outage,
+// so the error keeps that status instead of none (which reads as a network error)
+function countField(json, field, what) {
+  if (typeof json[field] === 'number') return json[field];
+  throw Object.assign(new Error(`Unexpected Jira ${what} response (no ${field})`), { status: 200 });
+}
+
+async function fetchFilterCount(filterOrJql) {
+  if (!filterOrJql) throw new Error('Missing Jira config or filter/JQL');
+  const base = JIRA_API_BASE_URL;
+  const headers = await getAuthHeaders();
   const jql = toJql(filterOrJql);
   if (!jql) throw new Error('Empty JQL');
+  // Preferred: approximate-count (the search endpoints no longer return totals);
+  // older Cloud sites and Data Center fall back to the classic search totals
+  try {
+    const json = await jiraRequest(`${base}/rest/api/3/search/approximate-count`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jql }),
+    });
+    return countField(json, 'count', 'approximate-count');
+  } catch (e) {
+    if (!isMissingEndpoint(e)) throw e;
+  }
   const jqlParam = encodeURIComponent(jql);
-  const urlV3 = `${base}/rest/api/3/search?jql=${jqlParam}&maxResults=0`;
   try {
-    const json = await fetchJSON(urlV3, { headers });
-    if (typeof json.total === 'number') return json.total;
-    throw new Error('Unexpected Jira response (no total)');
+    const json = await jiraRequest(`${base}/rest/api/3/search?jql=${jqlParam}&maxResults=0`, { headers });
+    return countField(json, 'total', 'v3 search');
   } catch (e) {
-    const urlV2 = `${base}/rest/api/2/search?jql=${jqlParam}&maxResults=0`;
-    const json2 = await fetchJSON(urlV2, { headers });
-    if (typeof json2.total === 'number') return json2.total;
-    throw new Error('Unexpected Jira v2 response (no total)');
+    if (!isMissingEndpoint(e)) throw e;
+  }
+  const json = await jiraRequest(`${base}/rest/api/2/search?jql=${jqlParam}&maxResults=0`, { headers });
+  return countField(json, 'total', 'v2 search');
+}
+
+// Last successful counts, served (flagged stale) while Jira is failing
+let LAST_GOOD_COUNTS = null;
+// Slots whose own filter failed (unknown filter, no permission, bad JQL, not set)
+// on the last fetch: left out of the counts instead of reading as 0
+let COUNT_ERRORS = {};
+
+// Jira's errorMessages/errors for a failed call, else the HTTP status line
+function jiraErrorMessage(err) {
+  const text = String(err && err.message || err);
+  const m = /^HTTP (\d+): ([\s\S]*)$/.exec(text);
+  if (!m) return text;
+  try {
+    const body = JSON.parse(m[2]);
+    const messages = [...(body.errorMessages || []), ...Object.values(body.errors || {})];
+    if (messages.length) return `HTTP ${m[1]}: ${messages.join('; ')}`;
+  } catch (_) { /* not JSON */ }
+  return `HTTP ${m[1]}`;
+}
+
+// Callers arriving while a refresh is running (page loads, stream, /metrics) share it
+let countsInFlight = null;
+function fetchAllCounts() {
+  if (!countsInFlight) countsInFlight = fetchAllCountsFresh().finally(() => { countsInFlight = null; });
+  return countsInFlight;
+}
+
+async function fetchAllCountsFresh() {
+  const ids = Object.keys(BOARD.metrics);
+  const errors = {};
+  const results = await Promise.allSettled(ids.map((id) => {
+    if (!toJql(BOARD.metrics[id].filter)) return Promise.reject(Object.assign(new Error('No filter or JQL configured'), { status: 400 }));
+    return fetchFilterCount(BOARD.metrics[id].filter);
+  }));
+  // Jira being down (or unconfigured) fails the whole board, not single slots
+  const outage = results.find((r) => r.status === 'rejected' && isRetryable(r.reason));
+  if (outage) throw outage.reason;
+  const counts = {};
+  ids.forEach((id, i) => {
+    if (results[i].status === 'fulfilled') counts[id] = results[i].value;
+    else errors[id] = jiraErrorMessage(results[i].reason);
+  });
+  COUNT_ERRORS = errors;
+  LAST_GOOD_COUNTS = { counts, at: new Date().toISOString() };
+  return counts;
+}
+
+// /api/counts body; while Jira fails, the last good counts flagged stale
+async function countsPayload() {
+  const base = { board: boardLayout(), refreshSeconds: REFRESH_SECONDS };
+  try {
+    const counts = await fetchAllCounts();
+    return { ...base, counts, errors: COUNT_ERRORS };
+  } catch (err) {
+    console.error('Error /api/counts:', err);
+    const error = String(err && err.message || err);
+    if (LAST_GOOD_COUNTS) {
+      return { ...base, counts: LAST_GOOD_COUNTS.counts, errors: COUNT_ERRORS, stale: true, asOf: LAST_GOOD_COUNTS.at, error };
+    }
+    return { ...base, counts: {}, error };
   }
 }
 
 async function handleCounts(_req, res) {
+  sendJSON(res, 200, await countsPayload());
+}
+
+// Viewers get each metric's link and whether it is configured; the base URL
+// and filter/JQL text are for admins
+function handleFilters(req, res) {
+  const admin = isAdmin(req);
+  const payload = admin ? { baseUrl: (JIRA_BASE_URL || '').replace(/\/$/, '') } : {};
+  for (const [id, m] of Object.entries(BOARD.metrics)) {
+    payload[id] = admin ? buildFilterInfo(m.label, m.filter) : publicFilterInfo(m.label, m.filter);
+  }
+  return sendJSON(res, 200, payload);
+}
+
+function handleEvent(_req, res) {
+  const ev = BOARD.event;
+  if (!ev) return sendJSON(res, 200, { configured: false });
+  return sendJSON(res, 200, { configured: true, ...ev, state: eventState(ev), now: new Date().toISOString() });
+}
+
+// /api/health: configuration self-check. Jira reachability and credentials
+// (/myself), each slot's filter (exists and is shared with the account) and JQL
+// (/jql/parse), plus the slot's error from the last counts fetch.
+const HEALTH_TTL_MS = 30000;
+
+// v3 first; Data Center only has v2 (a v2 404 is a real "not found")
+async function jiraGet(pathV3, headers) {
   try {
-    const tasks = [
-      fetchFilterCount(JIRA_FILTER_QA_ID),
-      fetchFilterCount(JIRA_FILTER_DEV_ID),
-    ];
-    // Optionally compute "worked today" if configured
-    if (JIRA_DEV_TODAY) tasks.push(fetchFilterCount(JIRA_DEV_TODAY));
-    if (JIRA_QA_TODAY) tasks.push(fetchFilterCount(JIRA_QA_TODAY));
-    // Optionally compute pre-bugbash baselines
-    if (JIRA_PRE_DEV) tasks.push(fetchFilterCount(JIRA_PRE_DEV));
-    if (JIRA_PRE_QA) tasks.push(fetchFilterCount(JIRA_PRE_QA));
-    // Optionally compute deployment ready count
-    const includeDeploy = !!JIRA_DEPLOYMENTREADY;
-    if (includeDeploy) tasks.push(fetchFilterCount(JIRA_DEPLOYMENTREADY));
-
-    const results = await Promise.all(tasks);
-    const qa = results[0];
-    const dev = results[1];
-    let idx = 2;
-    const devToday = JIRA_DEV_TODAY ? results[idx++] : undefined;
-    const qaToday = JIRA_QA_TODAY ? results[idx++] : undefined;
-    const preDev = JIRA_PRE_DEV ? results[idx++] : undefined;
-    const preQa = JIRA_PRE_QA ? results[idx++] : undefined;
-    const deploymentReady = includeDeploy ? results[idx++] : undefined;
-    sendJSON(res, 200, {
-      qa,
-      dev,
-      devToday: typeof devToday === 'number' ? devToday : undefined,
-      qaToday: typeof qaToday === 'number' ? qaToday : undefined,
-      preDev: typeof preDev === 'number' ? preDev : undefined,
-      preQa: typeof preQa === 'number' ? preQa : undefined,
-      deploymentReady: typeof deploymentReady === 'number' ? deploymentReady : undefined,
-      initialQa: INITIAL_QA,
-      initialDev: INITIAL_DEV,
-      refreshSeconds: REFRESH_SECONDS,
+    return await jiraRequest(`${JIRA_API_BASE_URL}${pathV3}`, { headers });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    return jiraRequest(`${JIRA_API_BASE_URL}${pathV3.replace('/rest/api/3/', '/rest/api/2/')}`, { headers });
+  }
+}
+
+async function checkSlots(slots, headers) {
+  for (const slot of slots) {
+    if (!slot.jql) { slot.error = 'No filter or JQL configured'; continue; }
+    const id = slot.jql.startsWith('filter=') ? slot.jql.slice('filter='.length) : null;
+    if (!id) { slot.query = slot.jql; continue; }
+    try {
+      const filter = await jiraGet(`/rest/api/3/filter/${encodeURIComponent(id)}`, headers);
+      slot.query = filter.jql || null;
+    } catch (err) {
+      if (isRetryable(err)) throw err;
+      slot.error = err.status === 404 || err.status === 403
+        ? `Filter ${id} not found, or not shared with the Jira account`
+        : jiraErrorMessage(err);
+    }
+  }
+  const toParse = slots.filter((s) => !s.error && s.query);
+  if (!toParse.length) return;
+  try {
+    const json = await jiraRequest(`${JIRA_API_BASE_URL}/rest/api/3/jql/parse?validation=strict`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ queries: toParse.map((s) => s.query) }),
+    });
+    const parsed = Array.isArray(json.queries) ? json.queries : [];
+    toParse.forEach((slot, i) => {
+      const errors = parsed[i] && Array.isArray(parsed[i].errors) ? parsed[i].errors : [];
+      if (errors.length) slot.error = `Invalid JQL: ${errors.join('; ')}`;
     });
   } catch (err) {
-    console.error('Error /api/counts:', err);
-    sendJSON(res, 200, { qa: 0, dev: 0, initialQa: INITIAL_QA, initialDev: INITIAL_DEV, refreshSeconds: REFRESH_SECONDS, error: String(err && err.message || err) });
+    if (err.status !== 404) throw err;
+    // Data Center has no /jql/parse: running the count validates the JQL instead
+    for (const slot of toParse) {
+      try { await fetchFilterCount(slot.query); } catch (e) {
+        if (isRetryable(e)) throw e;
+        slot.error = jiraErrorMessage(e);
+      }
+    }
+  }
+}
+
+async function healthPayload() {
+  const cached = cacheGet('health');
+  if (cached) return cached;
+  const jira = { ok: false, baseUrl: JIRA_BASE_URL || null, auth: JIRA_AUTH, user: null, error: null };
+  const slots = Object.entries(BOARD.metrics).map(([id, m]) => ({ id, label: m.label, filter: buildFilterInfo(m.label, m.filter).text, jql: toJql(m.filter), ok: false, error: null }));
+  let headers = null;
+  try {
+    headers = await getAuthHeaders();
+    const me = await jiraGet('/rest/api/3/myself', headers);
+    jira.ok = true;
+    jira.user = me.displayName || me.name || me.accountId || null;
+  } catch (err) {
+    jira.error = err.status === 401 ? 'Jira rejected the credentials (HTTP 401)' : jiraErrorMessage(err);
+  }
+  if (jira.ok) {
+    try {
+      await checkSlots(slots, headers);
+    } catch (err) {
+      jira.ok = false;
+      jira.error = jiraErrorMessage(err);
+    }
+  }
+  for (const slot of slots) {
+    if (!jira.ok && !slot.error) slot.error = 'Not checked: the Jira check failed';
+    if (!slot.error && COUNT_ERRORS[slot.id]) slot.error = COUNT_ERRORS[slot.id];
+    slot.ok = !slot.error;
+    delete slot.query;
+  }
+  const payload = { ok: jira.ok && slots.every((s) => s.ok), checkedAt: new Date().toISOString(), jira, slots };
+  cacheSet('health', payload, HEALTH_TTL_MS);
+  return payload;
+}
+
+// Non-admins get the verdicts without the Jira site, filter text or JQL
+function publicHealth(payload) {
+  const { baseUrl, ...jira } = payload.jira;
+  return { ...payload, jira, slots: payload.slots.map(({ filter, jql, ...slot }) => slot) };
+}
+
+async function handleHealth(req, res) {
+  try {
+    const payload = await healthPayload();
+    return sendJSON(res, payload.ok ? 200 : 503, isAdmin(req) ? payload : publicHealth(payload));
+  } catch (err) {
+    return sendJSON(res, 500, { ok: false, error: String(err && err.message || err) });
+  }
+}
+
+// Live updates (/api/stream): one server-side poll fans out to every open
+// browser over Server-Sent Events, so N tabs cost the same Jira calls as one.
+const STREAM_INTERVAL_SECONDS = Number(cleanEnv(process.env.STREAM_INTERVAL_SECONDS) || REFRESH_SECONDS);
+const STREAM_CLIENTS = new Set();
+const STREAM_STATE = { counts: null, errors: {}, countsError: null, movers: {}, at: null };
+let streamPolling = false;
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data) {
+  for (const res of STREAM_CLIENTS) sendEvent(res, event, data);
+}
+
+// Movers tables the server computes for the stream, one per board config entry
+// A table whose metric has no filter is not polled: an empty JQL would search
+// every issue on the site
+function moversConfigured(board) {
+  const metric = BOARD.metrics[board.metric];
+  return !!metric && !!toJql(metric.filter);
+}
+
+function moversQuery(board) {
+  return {
+    filter: BOARD.metrics[board.metric].filter,
+    from: board.from,
+    to: board.to,
+    notFrom: board.notFrom,
+    notTo: board.notTo,
+    limit: 100,
+  };
+}
+
+async function pollStream() {
+  if (streamPolling || STREAM_CLIENTS.size === 0) return;
+  streamPolling = true;
+  try {
+    try {
+      const counts = await fetchAllCounts();
+      const changed = Object.keys(counts).filter((id) => !STREAM_STATE.counts || STREAM_STATE.counts[id] !== counts[id]);
+      const errorsChanged = JSON.stringify(COUNT_ERRORS) !== JSON.stringify(STREAM_STATE.errors);
+      STREAM_STATE.counts = counts;
+      STREAM_STATE.errors = COUNT_ERRORS;
+      STREAM_STATE.at = new Date().toISOString();
+      if (changed.length || errorsChanged || STREAM_STATE.countsError) {
+        STREAM_STATE.countsError = null;
+        broadcast('counts', { counts, errors: COUNT_ERRORS, changed, at: STREAM_STATE.at });
+      }
+    } catch (err) {
+      const error = String(err && err.message || err);
+      console.error('Stream counts poll failed:', error);
+      if (error !== STREAM_STATE.countsError) broadcast('counts-error', { error, stale: !!LAST_GOOD_COUNTS, asOf: LAST_GOOD_COUNTS ? LAST_GOOD_COUNTS.at : null });
+      STREAM_STATE.countsError = error;
+    }
+    for (const board of BOARD.movers) {
+      if (!moversConfigured(board)) continue;
+      try {
+        const { users, stale } = await computeMovers(moversQuery(board));
+        if (stale) continue; // keep what browsers already show
+        const prev = STREAM_STATE.movers[board.key];
+        if (!prev || JSON.stringify(prev) !== JSON.stringify(users)) {
+          STREAM_STATE.movers[board.key] = users;
+          broadcast('movers', { key: board.key, users });
+        }
+      } catch (err) {
+        console.error(`Stream movers poll failed (${board.key}):`, err && err.message || err);
+      }
+    }
+  } finally {
+    streamPolling = false;
+  }
+}
+
+function handleStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: 5000\n\n`);
+  STREAM_CLIENTS.add(res);
+  // Late joiners get the latest state right away instead of waiting a cycle
+  if (STREAM_STATE.counts) sendEvent(res, 'counts', { counts: STREAM_STATE.counts, errors: STREAM_STATE.errors, changed: [], at: STREAM_STATE.at });
+  for (const [key, users] of Object.entries(STREAM_STATE.movers)) sendEvent(res, 'movers', { key, users });
+  const staleMs = Math.max(5, STREAM_INTERVAL_SECONDS) * 1000;
+  if (!STREAM_STATE.at || Date.now() - Date.parse(STREAM_STATE.at) > staleMs) pollStream();
+  req.on('close', () => STREAM_CLIENTS.delete(res));
+}
+
+function startStreamPolling() {
+  setInterval(pollStream, Math.max(5, STREAM_INTERVAL_SECONDS) * 1000);
+  // Comment lines keep idle connections open through proxies
+  setInterval(() => { for (const res of STREAM_CLIENTS) res.write(': ping\n\n'); }, 25000);
+}
+
+// Count history: one JSON line per snapshot ({ t, counts }) appended to
+// DATA_DIR/history.jsonl and replayed into memory on startup.
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+const CHANGELOG_FILE = path.join(DATA_DIR, 'changelogs.json');
+const EVENTS_DIR = path.join(DATA_DIR, 'events');
+const HISTORY = [];
+
+function loadHistory() {
+  let text = '';
+  try {
+    text = fs.readFileSync(HISTORY_FILE, 'utf8');
+  } catch (_) {
+    return; // first run – nothing recorded yet
+  }
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const snap = JSON.parse(line);
+      if (snap && snap.t && snap.counts) HISTORY.push({ t: Date.parse(snap.t), counts: snap.counts });
+    } catch (_) { /* skip a torn last line */ }
+  }
+  HISTORY.sort((a, b) => a.t - b.t);
+}
+
+function appendHistory(counts, at = Date.now()) {
+  HISTORY.push({ t: at, counts });
+  const line = JSON.stringify({ t: new Date(at).toISOString(), counts }) + '\n';
+  fs.mkdir(DATA_DIR, { recursive: true }, (mkErr) => {
+    if (mkErr) return console.error('History write failed:', mkErr.message);
+    fs.appendFile(HISTORY_FILE, line, (err) => {
+      if (err) console.error('History write failed:', err.message);
+    });
+  });
+}
+
+async function recordSnapshot() {
+  try {
+    appendHistory(await fetchAllCounts());
+  } catch (err) {
+    console.error('History snapshot failed:', err && err.message || err);
+  }
+}
+
+function startHistorySnapshots() {
+  if (!(HISTORY_INTERVAL_SECONDS > 0)) return;
+  recordSnapshot();
+  setInterval(recordSnapshot, Math.max(10, HISTORY_INTERVAL_SECONDS) * 1000);
+}
+
+// "30s", "15m", "1h", "1d" → ms
+function parseDuration(text) {
+  const m = /^(\d+)\s*(s|m|h|d)$/i.exec(String(text || '').trim());
+  if (!m) return 0;
+  const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2].toLowerCase()];
+  return Number(m[1]) * unit;
+}
+
+function handleHistory(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const metricParam = url.searchParams.get('metric');
+  const { since, until } = eventWindow(url.searchParams.get('since'), url.searchParams.get('until'));
+  const bucketParam = url.searchParams.get('bucket');
+
+  const metrics = metricParam ? metricParam.split(',').map((m) => m.trim()).filter(Boolean) : Object.keys(BOARD.metrics);
+  const unknown = metrics.filter((m) => !BOARD.metrics[m]);
+  if (unknown.length) return sendJSON(res, 400, { error: `Unknown metric: ${unknown.join(', ')}` });
+  const bucketMs = bucketParam ? parseDuration(bucketParam) : 0;
+  if (bucketParam && !bucketMs) return sendJSON(res, 400, { error: 'Invalid bucket (use e.g. 30s, 15m, 1h, 1d)' });
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) return sendJSON(res, 400, { error: 'Invalid since/until (use ISO datetime)' });
+
+  const series = {};
+  for (const m of metrics) {
+    // Counts are levels, so a bucket reports the last value seen inside it
+    const byBucket = new Map();
+    for (const snap of HISTORY) {
+      if (sinceMs != null && snap.t < sinceMs) continue;
+      if (untilMs != null && snap.t > untilMs) continue;
+      const value = snap.counts[m];
+      if (typeof value !== 'number') continue;
+      const key = bucketMs ? Math.floor(snap.t / bucketMs) * bucketMs : snap.t;
+      byBucket.set(key, value);
+    }
+    series[m] = Array.from(byBucket.entries()).map(([t, value]) => ({ t: new Date(t).toISOString(), value }));
+  }
+  return sendJSON(res, 200, {
+    since: since || null,
+    until: until || null,
+    bucket: bucketParam || null,
+    intervalSeconds: HISTORY_INTERVAL_SECONDS,
+    series,
+  });
+}
+
+// Prometheus text format for Grafana: every filter count as a gauge, Jira call
+// health by endpoint and movers cache hit/miss counters.
+
+function promLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+async function handleMetrics(_req, res) {
+  // Scrapes reuse recent counts; at most one Jira refresh per REFRESH_SECONDS
+  const age = LAST_GOOD_COUNTS ? Date.now() - Date.parse(LAST_GOOD_COUNTS.at) : Infinity;
+  let countsError = false;
+  if (age > REFRESH_SECONDS * 1000) {
+    try {
+      await fetchAllCounts();
+    } catch (err) {
+      countsError = true;
+      console.error('Metrics counts refresh failed:', err && err.message || err);
+    }
+  }
+
+  const lines = [];
+  const metric = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  const sample = (name, labels, value) => lines.push(`${name}${promLabels(labels)} ${value}`);
+
+  metric('leaderboard_filter_count', 'gauge', 'Issues matching each configured filter.');
+  if (LAST_GOOD_COUNTS) {
+    for (const [id, m] of Object.entries(BOARD.metrics)) {
+      const value = LAST_GOOD_COUNTS.counts[id];
+      if (value != null) sample('leaderboard_filter_count', { metric: id, label: m.label }, value);
+    }
+  }
+  metric('leaderboard_filter_error', 'gauge', '1 when a filter failed on its own (unknown, no permission, invalid JQL); see /api/health.');
+  for (const [id, m] of Object.entries(BOARD.metrics)) sample('leaderboard_filter_error', { metric: id, label: m.label }, COUNT_ERRORS[id] ? 1 : 0);
+  metric('leaderboard_counts_age_seconds', 'gauge', 'Age of the filter counts above.');
+  if (LAST_GOOD_COUNTS) sample('leaderboard_counts_age_seconds', {}, ((Date.now() - Date.parse(LAST_GOOD_COUNTS.at)) / 1000).toFixed(3));
+  metric('leaderboard_counts_stale', 'gauge', '1 when the last counts refresh failed and older values are exposed.');
+  sample('leaderboard_counts_stale', {}, countsError ? 1 : 0);
+
+  metric('leaderboard_jira_requests_total', 'counter', 'Jira HTTP requests by endpoint and status (each retry counts).');
+  for (const [endpoint, stats] of JIRA_STATS) {
+    for (const [status, n] of stats.requests) sample('leaderboard_jira_requests_total', { endpoint, status }, n);
+  }
+  metric('leaderboard_jira_request_errors_total', 'counter', 'Failed Jira HTTP requests by endpoint.');
+  for (const [endpoint, stats] of JIRA_STATS) sample('leaderboard_jira_request_errors_total', { endpoint }, stats.errors);
+  metric('leaderboard_jira_request_duration_seconds', 'histogram', 'Jira HTTP request latency by endpoint.');
+  for (const [endpoint, stats] of JIRA_STATS) {
+    JIRA_LATENCY_BUCKETS.forEach((le, i) => sample('leaderboard_jira_request_duration_seconds_bucket', { endpoint, le }, stats.buckets[i]));
+    sample('leaderboard_jira_request_duration_seconds_bucket', { endpoint, le: '+Inf' }, stats.count);
+    sample('leaderboard_jira_request_duration_seconds_sum', { endpoint }, stats.sum.toFixed(3));
+    sample('leaderboard_jira_request_duration_seconds_count', { endpoint }, stats.count);
+  }
+  metric('leaderboard_jira_circuit_open', 'gauge', '1 while the Jira circuit breaker is rejecting calls.');
+  sample('leaderboard_jira_circuit_open', {}, JIRA_BREAKER.openUntil > Date.now() ? 1 : 0);
+
+  metric('leaderboard_movers_cache_hits_total', 'counter', 'Top Movers queries answered from the cache.');
+  sample('leaderboard_movers_cache_hits_total', {}, MOVERS_CACHE_STATS.hits);
+  metric('leaderboard_movers_cache_misses_total', 'counter', 'Top Movers queries computed from Jira.');
+  sample('leaderboard_movers_cache_misses_total', {}, MOVERS_CACHE_STATS.misses);
+  metric('leaderboard_movers_coalesced_total', 'counter', 'Top Movers queries that joined an identical computation already running.');
+  sample('leaderboard_movers_coalesced_total', {}, MOVERS_CACHE_STATS.coalesced);
+  metric('leaderboard_rate_limited_total', 'counter', 'API requests refused with 429 by the per-client rate limit.');
+  sample('leaderboard_rate_limited_total', {}, RATE_LIMIT_STATS.limited);
+
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(lines.join('\n') + '\n');
+}
+
+// Downloads for decks and HR: /api/export?format=csv|json&what=counts|movers.
+// Same data as /api/counts and /api/movers, plus the window and filters used.
+function csvCell(v) {
+  if (v == null) return '';
+  let text = String(v);
+  // Keep spreadsheets from evaluating names/JQL as formulas
+  if (typeof v === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function exportCounts(admin) {
+  const data = await countsPayload();
+  const ev = BOARD.event;
+  const metrics = Object.entries(BOARD.metrics).map(([id, m]) => ({
+    id,
+    label: m.label,
+    count: data.counts[id] ?? null,
+    ...(admin ? { filter: buildFilterInfo(m.label, m.filter) } : {}),
+  }));
+  return {
+    what: 'counts',
+    generatedAt: new Date().toISOString(),
+    asOf: data.asOf || new Date().toISOString(),
+    stale: !!data.stale,
+    error: data.error,
+    window: ev ? { since: ev.start, until: ev.end } : null,
+    metrics,
+  };
+}
+
+async function exportMovers(url, admin) {
+  const key = url.searchParams.get('key');
+  const boards = key ? BOARD.movers.filter((b) => b.key === key) : BOARD.movers;
+  if (key && !boards.length) throw Object.assign(new Error(`Unknown movers table: ${key}`), { status: 400 });
+  const rank = url.searchParams.get('rank') === 'score' ? 'score' : 'count';
+  const since = url.searchParams.get('since');
+  const until = url.searchParams.get('until');
+  const tables = [];
+  for (const board of boards) {
+    if (!moversConfigured(board)) continue;
+    const metric = BOARD.metrics[board.metric];
+    const payload = await computeMovers({ ...moversQuery(board), since, until, rank, limit: Infinity });
+    tables.push({
+      key: board.key,
+      label: board.label,
+      metric: board.metric,
+      from: board.from || null,
+      to: board.to || null,
+      notFrom: board.notFrom || null,
+      notTo: board.notTo || null,
+      since: payload.since,
+      until: payload.until,
+      totalIssues: payload.totalIssues,
+      truncated: payload.truncated,
+      stale: !!payload.stale,
+      asOf: payload.asOf || null,
+      ...(admin ? { filter: buildFilterInfo(metric.label, metric.filter) } : {}),
+      users: payload.users,
+    });
+  }
+  return { what: 'movers', generatedAt: new Date().toISOString(), rank, tables };
+}
+
+async function handleExport(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const format = url.searchParams.get('format') || 'csv';
+  const what = url.searchParams.get('what') || 'movers';
+  if (format !== 'csv' && format !== 'json') return sendJSON(res, 400, { error: 'format must be csv or json' });
+  if (what !== 'counts' && what !== 'movers') return sendJSON(res, 400, { error: 'what must be counts or movers' });
+  // filter text and URLs only go to admins
+  const admin = isAdmin(req);
+  const filterCols = (f) => (admin ? [f.text, f.url] : []);
+  const filterHead = admin ? ['filter', 'filter_url'] : [];
+  try {
+    const data = what === 'counts' ? await exportCounts(admin) : await exportMovers(url, admin);
+    let body;
+    if (format === 'json') {
+      body = JSON.stringify(data, null, 2);
+    } else if (what === 'counts') {
+      body = toCsv(
+        ['metric', 'label', 'count', 'as_of', 'stale', 'window_since', 'window_until', ...filterHead],
+        data.metrics.map((m) => [m.id, m.label, m.count, data.asOf, data.stale, data.window && data.window.since, data.window && data.window.until, ...filterCols(m.filter)]),
+      );
+    } else {
+      const rows = [];
+      for (const t of data.tables) {
+        t.users.forEach((u, i) => rows.push([t.label, i + 1, u.user, u.accountId, u.count, u.score, t.from, t.to, t.notFrom, t.notTo, t.since, t.until, t.stale, ...filterCols(t.filter)]));
+      }
+      body = toCsv(['table', 'rank', 'user', 'account_id', 'count', 'score', 'from', 'to', 'not_from', 'not_to', 'since', 'until', 'stale', ...filterHead], rows);
+    }
+    const filename = `${what}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.writeHead(200, {
+      'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': Buffer.byteLength(body),
+    });
+    res.end(body);
+  } catch (err) {
+    return sendJSON(res, err.status || 500, { error: String(err && err.message || err) });
+  }
+}
+
+// Event archive: once the configured event has ended, its final counts and
+// full movers tables are frozen into DATA_DIR/events/<slug>.json. Archived
+// results are served from disk only, so later issue moves never change them.
+const ARCHIVE_CHECK_SECONDS = 60;
+let archiving = false;
+
+function archivePath(slug) {
+  return path.join(EVENTS_DIR, `${slug}.json`);
+}
+
+function readArchive(slug) {
+  if (!/^[a-z0-9-]+$/.test(slug)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(archivePath(slug), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Index entry: headline totals and the top mover of each table
+function archiveSummary(archive) {
+  const { board, counts } = archive;
+  const totals = [];
+  for (const c of board.columns || []) {
+    if (!c.total) continue;
+    const ids = (board.rows || []).map((r) => r.cells && r.cells[c.key]).filter((id) => id != null && counts[id] != null);
+    totals.push({ label: c.total.label, value: ids.reduce((sum, id) => sum + (Number(counts[id]) || 0), 0) });
+  }
+  for (const h of board.highlights || []) {
+    if (counts[h.metric] != null) totals.push({ label: h.label, value: counts[h.metric] });
+  }
+  const top = Object.values(archive.movers || {}).map((m) => ({ label: m.label, ...(m.users[0] || { user: null, count: 0 }) }));
+  return { slug: archive.slug, name: archive.name, start: archive.start, end: archive.end, timezone: archive.timezone, frozenAt: archive.frozenAt, countsFinal: archive.countsFinal !== false, totals, top };
+}
+
+function listArchives() {
+  let files = [];
+  try {
+    files = fs.readdirSync(EVENTS_DIR).filter((f) => f.endsWith('.json'));
+  } catch (_) {
+    return [];
+  }
+  const out = [];
+  for (const f of files) {
+    const archive = readArchive(f.slice(0, -'.json'.length));
+    if (archive) out.push(archiveSummary(archive));
+  }
+  return out.sort((a, b) => String(b.start).localeCompare(String(a.start)));
+}
+
+// Last count history snapshot taken inside the event window; null when none was recorded
+function eventEndSnapshot(ev) {
+  const start = Date.parse(ev.start);
+  const end = Date.parse(ev.end);
+  let found = null;
+  for (const snap of HISTORY) if (snap.t >= start && snap.t <= end) found = snap;
+  return found;
+}
+
+async function freezeEvent(ev) {
+  // The archiver may run long after the end (or at startup); counts taken now are
+  // today's levels, so they are only used, flagged not final, when no snapshot exists
+  const snap = eventEndSnapshot(ev);
+  const counts = snap ? snap.counts : await fetchAllCounts();
+  const movers = {};
+  for (const board of BOARD.movers) {
+    if (!moversConfigured(board)) continue;
+    const payload = await computeMovers({ ...moversQuery(board), since: ev.start, until: ev.end || undefined, limit: Infinity });
+    // Never freeze last-good data from an outage
+    if (payload.stale) throw new Error(`movers ${board.key}: ${payload.error}`);
+    movers[board.key] = { label: board.label, totalIssues: payload.totalIssues, truncated: payload.truncated, users: payload.users };
+  }
+  const archive = {
+    ...ev,
+    frozenAt: new Date().toISOString(),
+    countsAt: new Date(snap ? snap.t : Date.now()).toISOString(),
+    countsFinal: !!snap,
+    board: boardLayout(),
+    counts,
+    movers,
+  };
+  fs.mkdirSync(EVENTS_DIR, { recursive: true });
+  const file = archivePath(ev.slug);
+  fs.writeFileSync(file + '.tmp', JSON.stringify(archive));
+  fs.renameSync(file + '.tmp', file);
+  console.log(`Archived event "${ev.name}" to ${file}`);
+  return archive;
+}
+
+async function checkEventArchive() {
+  const ev = BOARD.event;
+  if (archiving || !ev || eventState(ev) !== 'ended' || fs.existsSync(archivePath(ev.slug))) return;
+  archiving = true;
+  try {
+    await freezeEvent(ev);
+  } catch (err) {
+    // Retried on the next check
+    console.error('Event archive failed:', err && err.message || err);
+  } finally {
+    archiving = false;
+  }
+}
+
+function startEventArchiver() {
+  checkEventArchive();
+  setInterval(checkEventArchive, ARCHIVE_CHECK_SECONDS * 1000);
+}
+
+function handleEvents(_req, res) {
+  return sendJSON(res, 200, { events: listArchives() });
+}
+
+function handleEventArchive(res, rawSlug) {
+  let slug;
+  try {
+    slug = decodeURIComponent(rawSlug);
+  } catch (_) {
+    return sendJSON(res, 404, { error: 'Unknown event' });
+  }
+  const archive = readArchive(slug);
+  if (!archive) return sendJSON(res, 404, { error: `Unknown event: ${slug}` });
+  return sendJSON(res, 200, archive);
+}
+
+// Chat notifications: every NOTIFY_INTERVAL_SECONDS the rules compare the new
+// counts/movers snapshot with the previous one and POST a message to each
+// webhook when a threshold is crossed or a movers table gets a new #1.
+// A rule that fired stays quiet for debounceSeconds, so a flapping issue
+// (backlog 0 → 1 → 0) announces once.
+const NOTIFY_STATE = { prev: null, lastFired: new Map() };
+let notifying = false;
+
+function ruleValue(rule, snap) {
+  if (rule.metric) return snap.counts[rule.metric] ?? null;
+  const ids = BOARD.rows.map((r) => r.cells[rule.column]).filter((id) => id != null && snap.counts[id] != null);
+  return ids.length ? ids.reduce((sum, id) => sum + (Number(snap.counts[id]) || 0), 0) : null;
+}
+
+function ruleLabel(rule) {
+  if (rule.movers) return BOARD.movers.find((m) => m.key === rule.movers).label;
+  if (rule.metric) return BOARD.metrics[rule.metric].label;
+  const col = BOARD.columns.find((c) => c.key === rule.column);
+  return col.total ? col.total.label : col.label;
+}
+
+function fillTemplate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+// Messages for the rules that fire between two snapshots
+function evaluateRules(rules, prev, next) {
+  const out = [];
+  for (const rule of rules) {
+    const vars = { label: ruleLabel(rule), event: BOARD.event ? BOARD.event.name : '' };
+    if (rule.type === 'threshold') {
+      const before = ruleValue(rule, prev);
+      const after = ruleValue(rule, next);
+      if (before == null || after == null) continue;
+      const crossed = rule.atLeast != null
+        ? before < rule.atLeast && after >= rule.atLeast
+        : before > rule.atMost && after <= rule.atMost;
+      if (crossed) out.push({ rule, text: fillTemplate(rule.message, { ...vars, value: after, previous: before }) });
+    } else {
+      const before = prev.movers[rule.movers];
+      const after = next.movers[rule.movers];
+      if (!before || !after || !after.length) continue;
+      const [top, second] = after;
+      // ties are not a new #1
+      if (second && second.count === top.count) continue;
+      if (before.length && before[0].accountId === top.accountId) continue;
+      out.push({ rule, text: fillTemplate(rule.message, { ...vars, user: top.user, count: top.count, score: top.score, previous: before[0] ? before[0].user : '' }) });
+    }
+  }
+  return out;
+}
+
+function webhookBody(format, text) {
+  if (format === 'teams') return { '@type': 'MessageCard', '@context': 'https://schema.org/extensions', summary: text, text };
+  return { text };
+}
+
+// Chat webhooks answer "ok"/"1" rather than JSON, so only the status matters
+function postWebhook(url, body) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const lib = u.protocol === 'https:' ? https : http;
+    const json = JSON.stringify(body);
+    const req = lib.request(u, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) },
+      timeout: 10000,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => (res.statusCode >= 200 && res.statusCode < 300 ? resolve() : reject(new Error(`HTTP ${res.statusCode}`))));
+    });
+    req.on('timeout', () => req.destroy(new Error('Webhook timed out after 10000ms')));
+    req.on('error', reject);
+    req.end(json);
+  });
+}
+
+async function notificationSnapshot(notify) {
+  const counts = await fetchAllCounts();
+  const movers = {};
+  for (const key of new Set(notify.rules.filter((r) => r.movers).map((r) => r.movers))) {
+    const board = BOARD.movers.find((m) => m.key === key);
+    if (!board || !moversConfigured(board)) continue;
+    const payload = await computeMovers(moversQuery(board));
+    // last-good data during an outage is not a new standing
+    if (!payload.stale) movers[key] = payload.users;
+  }
+  return { counts, movers };
+}
+
+async function checkNotifications() {
+  const notify = BOARD.notifications;
+  if (notifying || !notify) return;
+  notifying = true;
+  try {
+    const snap = await notificationSnapshot(notify);
+    const prev = NOTIFY_STATE.prev;
+    NOTIFY_STATE.prev = snap;
+    if (!prev) return; // first snapshot is the baseline
+    const now = Date.now();
+    for (const { rule, text } of evaluateRules(notify.rules, prev, snap)) {
+      const last = NOTIFY_STATE.lastFired.get(rule.id) || 0;
+      if (now - last < notify.debounceSeconds * 1000) continue;
+      NOTIFY_STATE.lastFired.set(rule.id, now);
+      console.log(`Notify [${rule.id}]: ${text}`);
+      await Promise.all(notify.webhooks.map((w) => postWebhook(w.url, webhookBody(w.format, text))
+        .catch((err) => console.error(`Webhook ${new URL(w.url).host} failed:`, err.message))));
+    }
+  } catch (err) {
+    console.error('Notification check failed:', err && err.message || err);
+  } finally {
+    notifying = false;
+  }
+}
+
+function startNotifications() {
+  if (!BOARD.notifications) return;
+  checkNotifications();
+  setInterval(checkNotifications, Math.max(10, NOTIFY_INTERVAL_SECONDS) * 1000);
+}
+
+// Admin (/admin): edit the filter/JQL slots and movers statuses at runtime.
+// Edits differing from the board config are saved to DATA_DIR/admin-config.json
+// and laid over it on startup.
+const ADMIN_FILE = path.join(DATA_DIR, 'admin-config.json');
+const MOVERS_STATUS_FIELDS = ['from', 'to', 'notFrom', 'notTo'];
+const ADMIN_BODY_LIMIT = 64 * 1024;
+
+function moversStatuses(board) {
+  const out = {};
+  for (const f of MOVERS_STATUS_FIELDS) out[f] = board[f] || '';
+  return out;
+}
+
+// Board config / env values, so edits can be shown against (and reset to) them
+const BOARD_DEFAULTS = {
+  metrics: Object.fromEntries(Object.entries(BOARD.metrics).map(([id, m]) => [id, m.filter])),
+  movers: Object.fromEntries(BOARD.movers.map((b) => [b.key, moversStatuses(b)])),
+};
+
+function applyAdminConfig(cfg) {
+  for (const [id, filter] of Object.entries(cfg.metrics || {})) {
+    if (BOARD.metrics[id]) BOARD.metrics[id].filter = filter;
+  }
+  for (const board of BOARD.movers) {
+    const statuses = (cfg.movers || {})[board.key];
+    if (!statuses) continue;
+    for (const f of MOVERS_STATUS_FIELDS) {
+      if (statuses[f]) board[f] = statuses[f];
+      else delete board[f];
+    }
+  }
+}
+
+function loadAdminConfig() {
+  let cfg;
+  try {
+    cfg = JSON.parse(fs.readFileSync(ADMIN_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Admin config unreadable, ignored:', err.message);
+    return;
+  }
+  applyAdminConfig(cfg);
+  console.log(`Applied admin edits from ${ADMIN_FILE}`);
+}
+
+function saveAdminConfig() {
+  const metrics = {};
+  for (const [id, m] of Object.entries(BOARD.metrics)) if (m.filter !== BOARD_DEFAULTS.metrics[id]) metrics[id] = m.filter;
+  const movers = {};
+  for (const board of BOARD.movers) {
+    const statuses = moversStatuses(board);
+    if (JSON.stringify(statuses) !== JSON.stringify(BOARD_DEFAULTS.movers[board.key])) movers[board.key] = statuses;
+  }
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(ADMIN_FILE + '.tmp', JSON.stringify({ version: 1, savedAt: new Date().toISOString(), metrics, movers }, null, 2));
+  fs.renameSync(ADMIN_FILE + '.tmp', ADMIN_FILE);
+}
+
+function adminConfigPayload() {
+  return {
+    metrics: Object.entries(BOARD.metrics).map(([id, m]) => ({ id, label: m.label, filter: m.filter, default: BOARD_DEFAULTS.metrics[id], url: buildFilterInfo(m.label, m.filter).url })),
+    movers: BOARD.movers.map((b) => ({ key: b.key, label: b.label, metric: b.metric, ...moversStatuses(b), defaults: BOARD_DEFAULTS.movers[b.key] })),
+  };
+}
+
+// Secrets compared in constant time
+function safeEqual(a, b) {
+  const digest = (v) => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return m ? m[1].trim() : '';
+}
+
+// ADMIN_TOKEN as a Bearer header, or a proxy user listed in ADMIN_USERS
+function isAdmin(req) {
+  const token = bearerToken(req);
+  if (ADMIN_TOKEN && token && safeEqual(token, ADMIN_TOKEN)) return true;
+  const user = proxyUser(req);
+  return !!user && ADMIN_USERS.includes(user.toLowerCase());
+}
+
+// Access layer: viewer routes need the viewer cookie/token or a proxy user,
+// /api/admin/* needs admin. With neither VIEWER_TOKEN nor AUTH_PROXY_HEADER
+// set, everyone is a viewer.
+const ACCESS_ENABLED = !!(VIEWER_TOKEN || AUTH_PROXY_HEADER);
+const SESSION_COOKIE = 'lb_session';
+// Viewer cookies exist only with a VIEWER_TOKEN. They are signed with AUTH_SECRET,
+// else a key derived from the token (rotating it then signs everyone out).
+const SESSION_SECRET = AUTH_SECRET || (VIEWER_TOKEN ? crypto.createHash('sha256').update(`leaderboard-session:${VIEWER_TOKEN}`).digest('hex') : '');
+if (VIEWER_TOKEN && (AUTH_SECRET || VIEWER_TOKEN).length < 16) {
+  throw new Error('VIEWER_TOKEN (or AUTH_SECRET) must be at least 16 characters to sign viewer cookies');
+}
+
+function proxyUser(req) {
+  if (!AUTH_PROXY_HEADER) return '';
+  return cleanEnv(req.headers[AUTH_PROXY_HEADER]);
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    // Malformed escapes come from clients; skip the cookie rather than throw
+    try { out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim()); } catch (_) { /* ignore */ }
+  }
+  return out;
+}
+
+function signSession(expires) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(`viewer.${expires}`).digest('base64url');
+}
+
+function viewerCookie(req) {
+  const expires = Date.now() + VIEWER_SESSION_DAYS * 86400000;
+  const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=v1.${expires}.${signSession(expires)}; Path=/; Max-Age=${VIEWER_SESSION_DAYS * 86400}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+function hasViewerSession(req) {
+  if (!VIEWER_TOKEN || !SESSION_SECRET) return false;
+  const [version, expires, sig] = String(parseCookies(req)[SESSION_COOKIE] || '').split('.');
+  if (version !== 'v1' || !sig || !(Number(expires) > Date.now())) return false;
+  return safeEqual(sig, signSession(expires));
+}
+
+// Viewer token from ?token= (share links, TV browsers) or a Bearer header (scrapers)
+function hasViewerToken(req, url) {
+  if (!VIEWER_TOKEN) return false;
+  const token = url.searchParams.get('token') || bearerToken(req);
+  return !!token && safeEqual(token, VIEWER_TOKEN);
+}
+
+// 'admin', 'viewer' or null
+function accessRole(req, url) {
+  if (isAdmin(req)) return 'admin';
+  if (!ACCESS_ENABLED || proxyUser(req) || hasViewerSession(req) || hasViewerToken(req, url)) return 'viewer';
+  return null;
+}
+
+// Role a route needs; null for assets the sign-in page itself needs
+function routeRole(pathname) {
+  if (pathname === '/styles.css') return null;
+  if (pathname.startsWith('/api/admin/')) return 'admin';
+  return 'viewer';
+}
+
+function isPage(pathname) {
+  return !pathname.startsWith('/api/') && pathname !== '/metrics' && !/\.(js|css)$/.test(pathname);
+}
+
+// Rate limiting: each client IP gets RATE_LIMIT_BURST requests at once,
+// refilled at RATE_LIMIT_PER_MINUTE. Admin requests are not limited.
+const RATE_BUCKETS = new Map(); // ip => { tokens, at }
+const RATE_LIMIT_STATS = { limited: 0 };
+
+// With TRUST_PROXY, the address our proxy saw (last X-Forwarded-For hop)
+function clientIp(req) {
+  if (TRUST_PROXY) {
+    const hops = String(req.headers['x-forwarded-for'] || '').split(',').map((h) => h.trim()).filter(Boolean);
+    if (hops.length) return hops[hops.length - 1];
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+// 0 when a token was taken, else seconds until the next one
+function takeRateToken(ip) {
+  const now = Date.now();
+  const perMs = RATE_LIMIT_PER_MINUTE / 60000;
+  const bucket = RATE_BUCKETS.get(ip) || { tokens: RATE_LIMIT_BURST, at: now };
+  bucket.tokens = Math.min(RATE_LIMIT_BURST, bucket.tokens + (now - bucket.at) * perMs);
+  bucket.at = now;
+  RATE_BUCKETS.set(ip, bucket);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / perMs / 1000);
+}
+
+// Returns true when the request was refused
+function rateLimited(req, res) {
+  if (!RATE_LIMIT_PER_MINUTE || isAdmin(req)) return false;
+  const wait = takeRateToken(clientIp(req));
+  if (!wait) return false;
+  RATE_LIMIT_STATS.limited++;
+  const json = JSON.stringify({ error: `Too many requests; retry in ${wait}s` });
+  res.writeHead(429, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Retry-After': String(wait),
+  });
+  res.end(json);
+  return true;
+}
+
+// Buckets refilled to the brim carry no state; drop them
+function startRateLimitSweep() {
+  if (!RATE_LIMIT_PER_MINUTE) return;
+  const fullAfterMs = (RATE_LIMIT_BURST / RATE_LIMIT_PER_MINUTE) * 60000;
+  setInterval(() => {
+    const cutoff = Date.now() - fullAfterMs;
+    for (const [ip, bucket] of RATE_BUCKETS) if (bucket.at < cutoff) RATE_BUCKETS.delete(ip);
+  }, 5 * 60 * 1000).unref();
+}
+
+// Returns true when the request was answered (refused or redirected)
+function enforceAccess(req, res, url) {
+  const need = routeRole(url.pathname);
+  if (!need) return false;
+  const role = accessRole(req, url);
+  if (role === 'admin' || role === need) {
+    // Trade a ?token= share link for the cookie so the token leaves the address bar
+    if (isPage(url.pathname) && url.searchParams.has('token') && hasViewerToken(req, url)) {
+      url.searchParams.delete('token');
+      res.writeHead(302, { 'Set-Cookie': viewerCookie(req), Location: url.pathname + url.search, 'Cache-Control': 'no-store' });
+      res.end();
+      return true;
+    }
+    return false;
+  }
+  // Admin routes answer for themselves (admin may be disabled entirely)
+  if (need === 'admin') return false;
+  if (isPage(url.pathname)) sendText(res, 401, 'This board needs an access link. Ask the board owner for one.');
+  else sendJSON(res, 401, { error: 'Viewer access required' });
+  return true;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > ADMIN_BODY_LIMIT) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); }
+      catch (_) { reject(Object.assign(new Error('Invalid JSON body'), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handleAdmin(req, res, url) {
+  if (!ADMIN_TOKEN && !(AUTH_PROXY_HEADER && ADMIN_USERS.length)) return sendJSON(res, 404, { error: 'Admin is disabled; set ADMIN_TOKEN or ADMIN_USERS to enable it' });
+  if (!isAdmin(req)) return sendJSON(res, 401, { error: 'Admin token required' });
+  // Proxy sessions ride on cookies; a JSON-only body keeps cross-site forms out
+  if (req.method === 'POST' && !/^application\/json\b/i.test(req.headers['content-type'] || '')) return sendJSON(res, 415, { error: 'Send the body as application/json' });
+  try {
+    if (url.pathname === '/api/admin/config' && req.method === 'GET') return sendJSON(res, 200, adminConfigPayload());
+
+    if (url.pathname === '/api/admin/config' && req.method === 'POST') {
+      const body = await readJsonBody(req);
+      const next = { metrics: {}, movers: {} };
+      for (const [id, filter] of Object.entries(body.metrics || {})) {
+        if (!BOARD.metrics[id]) return sendJSON(res, 400, { error: `Unknown metric: ${id}` });
+        const value = cleanEnv(filter);
+        if (!toJql(value)) return sendJSON(res, 400, { error: `${BOARD.metrics[id].label} needs a filter ID, URL or JQL` });
+        next.metrics[id] = value;
+      }
+      for (const [key, statuses] of Object.entries(body.movers || {})) {
+        const board = BOARD.movers.find((b) => b.key === key);
+        if (!board) return sendJSON(res, 400, { error: `Unknown movers table: ${key}` });
+        next.movers[key] = { ...moversStatuses(board) };
+        for (const f of MOVERS_STATUS_FIELDS) if (statuses && f in statuses) next.movers[key][f] = cleanEnv(statuses[f]);
+      }
+      applyAdminConfig(next);
+      saveAdminConfig();
+      // Numbers from the old filters must not leak into outages, rules or the stream
+      LAST_GOOD_COUNTS = null;
+      countsInFlight = null;
+      NOTIFY_STATE.prev = null;
+      STREAM_STATE.counts = null;
+      STREAM_STATE.movers = {};
+      CACHE.delete('health');
+      broadcast('config', { at: new Date().toISOString() });
+      pollStream();
+      console.log('Admin config updated');
+      return sendJSON(res, 200, adminConfigPayload());
+    }
+
+    // Live count for a filter/JQL typed on the admin page
+    if (url.pathname === '/api/admin/preview' && req.method === 'POST') {
+      const body = await readJsonBody(req);
+      const jql = toJql(body.filter);
+      if (!jql) return sendJSON(res, 400, { error: 'Enter a filter ID, URL or JQL' });
+      try {
+        return sendJSON(res, 200, { jql, count: await fetchFilterCount(body.filter), url: buildFilterInfo('', body.filter).url });
+      } catch (err) {
+        return sendJSON(res, isRetryable(err) ? 502 : 400, { jql, error: String(err && err.message || err) });
+      }
+    }
+    return sendJSON(res, 404, { error: 'Not found' });
+  } catch (err) {
+    return sendJSON(res, err.status || 500, { error: String(err && err.message || err) });
   }
 }
 
 const server = http.createServer((req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
+  if (enforceAccess(req, res, url)) return;
+  if (url.pathname.startsWith('/api/') && rateLimited(req, res)) return;
   if (url.pathname === '/') return staticFile('index.html', res);
   if (url.pathname === '/script.js') return staticFile('script.js', res);
+  if (url.pathname === '/common.js') return staticFile('common.js', res);
   if (url.pathname === '/styles.css') return staticFile('styles.css', res);
   if (url.pathname === '/api/counts') return handleCounts(req, res);
   if (url.pathname === '/api/movers') return handleMovers(req, res);
-  if (url.pathname === '/api/filters') {
-    const payload = {
-      baseUrl: (JIRA_BASE_URL || '').replace(/\/$/, ''),
-      qa: buildFilterInfo('QA', JIRA_FILTER_QA_ID),
-      dev: buildFilterInfo('Dev', JIRA_FILTER_DEV_ID),
-      preDev: buildFilterInfo('Pre Dev', JIRA_PRE_DEV),
-      preQa: buildFilterInfo('Pre QA', JIRA_PRE_QA),
-      devToday: buildFilterInfo('Dev Today', JIRA_DEV_TODAY),
-      qaToday: buildFilterInfo('QA Today', JIRA_QA_TODAY),
-      deploymentReady: buildFilterInfo('Deployment Ready', JIRA_DEPLOYMENTREADY),
-    };
-    return sendJSON(res, 200, payload);
-  }
+  if (url.pathname === '/api/movers/detail') return handleMoversDetail(req, res);
+  if (url.pathname === '/api/achievements') return handleAchievements(req, res);
+  if (url.pathname === '/api/filters') return handleFilters(req, res);
+  if (url.pathname === '/api/event') return handleEvent(req, res);
+  if (url.pathname === '/api/health') return handleHealth(req, res);
+  if (url.pathname === '/api/export') return handleExport(req, res);
+  if (url.pathname === '/metrics') return handleMetrics(req, res);
+  if (url.pathname === '/api/events') return handleEvents(req, res);
+  if (url.pathname.startsWith('/api/events/')) return handleEventArchive(res, url.pathname.slice('/api/events/'.length));
+  if (url.pathname === '/events' || url.pathname.startsWith('/events/')) return staticFile('events.html', res);
+  if (url.pathname === '/events.js') return staticFile('events.js', res);
+  if (url.pathname === '/api/history') return handleHistory(req, res);
+  if (url.pathname === '/admin') return staticFile('admin.html', res);
+  if (url.pathname === '/admin.js') return staticFile('admin.js', res);
+  if (url.pathname.startsWith('/api/admin/')) return handleAdmin(req, res, url);
+  if (url.pathname === '/api/stream') return handleStream(req, res);
   return sendText(res, 404, 'Not found');
 });
 
+loadHistory();
+loadChangelogStore();
+loadAdminConfig();
+
 server.listen(PORT, () => {
   console.log(`Leaderboard webview listening on http://localhost:${PORT}`);
+  startHistorySnapshots();
+  startStreamPolling();
+  startEventArchiver();
+  startNotifications();
+  startRateLimitSweep();
 });